@@ -0,0 +1,225 @@
+/**
+ * Blocklist Exporters
+ *
+ * Turns the `scriptSrc`/`xhr` network patterns of privacy technologies into
+ * Adblock Plus / uBlock Origin filter lists and Manifest V3
+ * declarativeNetRequest (DNR) rulesets.
+ */
+
+const { tryCompilePattern } = require('./patterns');
+
+const RISK_THRESHOLDS = { low: 1, medium: 2, high: 3 };
+
+const RESOURCE_TYPES = {
+  scriptSrc: { abp: 'script', dnr: 'script' },
+  xhr: { abp: 'xmlhttprequest', dnr: 'xmlhttprequest' }
+};
+
+// Chrome's documented limits; Firefox's are at least as generous
+const DEFAULT_MAX_RULES = 30000;
+const DEFAULT_MAX_REGEX_RULES = 1000;
+const DEFAULT_MAX_REGEX_LENGTH = 2000;
+
+/**
+ * Returns the plain filter a regex is equivalent to when it contains no regex
+ * syntax besides escaped punctuation and `^`/`$` anchors (e.g.
+ * `statics\.a8\.net` -> `statics.a8.net`, `utag\.js$` -> `utag.js|`),
+ * otherwise null. Both formats share this plain substring syntax.
+ */
+function regexToLiteral(regex) {
+  const anchoredStart = regex.startsWith('^');
+  const anchoredEnd = regex.endsWith('$') && !regex.endsWith('\\$');
+  const body = regex.slice(anchoredStart ? 1 : 0, anchoredEnd ? -1 : undefined);
+  const literal = unescapeLiteral(body);
+
+  // Too short to block safely, and `*`, `^` and `|` are filter syntax
+  if (literal === null || literal.length < 4 || /[*^|]/.test(literal)) return null;
+  return `${anchoredStart ? '|' : ''}${literal}${anchoredEnd ? '|' : ''}`;
+}
+
+function unescapeLiteral(regex) {
+  let literal = '';
+
+  for (let i = 0; i < regex.length; i++) {
+    const char = regex[i];
+    if (char === '\\') {
+      const next = regex[i + 1];
+      if (next === undefined || !/[.\/\-_:?=&%~]/.test(next)) return null;
+      literal += next;
+      i++;
+    } else if (/[A-Za-z0-9\/\-_:=&%~,;@!]/.test(char)) {
+      literal += char;
+    } else {
+      return null;
+    }
+  }
+
+  return literal;
+}
+
+function abpRegexIssue(regex) {
+  if (regex.includes('$')) return 'contains "$", which Adblock Plus parses as filter options';
+  return null;
+}
+
+// DNR regexes are compiled with RE2: no lookaround, backreferences or
+// possessive/atomic groups, and each must fit the per-rule memory budget
+function dnrRegexIssue(regex, maxLength) {
+  if (/\(\?<?[=!]/.test(regex)) return 'lookaround is not supported by RE2';
+  if (/\\[1-9]/.test(regex)) return 'backreferences are not supported by RE2';
+  if (/\(\?<[A-Za-z]/.test(regex)) return 'named groups are not supported by RE2';
+  if (/(?<!\\)[*+?}]\+/.test(regex) || regex.includes('(?>')) return 'possessive or atomic groups are not supported by RE2';
+  if (regex.length > maxLength) return `regex longer than ${maxLength} characters`;
+  return null;
+}
+
+function buildBlocklists(privacyTechnologies, networkPatterns, options = {}) {
+  const riskLevel = options.riskLevel || 'medium';
+  const generatedAt = options.generatedAt || new Date().toISOString();
+  const minThreatLevel = RISK_THRESHOLDS[riskLevel];
+  if (!minThreatLevel) {
+    throw new Error(`Invalid blocklist riskLevel "${riskLevel}" (expected low, medium or high)`);
+  }
+
+  const maxRules = options.maxRules || DEFAULT_MAX_RULES;
+  const maxRegexRules = options.maxRegexRules || DEFAULT_MAX_REGEX_RULES;
+  const maxRegexLength = options.maxRegexLength || DEFAULT_MAX_REGEX_LENGTH;
+
+  const technologies = new Map(privacyTechnologies
+      .filter(tech => tech.threatLevel >= minThreatLevel)
+      .map(tech => [tech.name, tech]));
+
+  const candidates = networkPatterns
+      .filter(entry => RESOURCE_TYPES[entry.type] && technologies.has(entry.technology))
+      .sort((a, b) => technologies.get(b.technology).threatLevel - technologies.get(a.technology).threatLevel);
+
+  const untranslatable = [];
+  const abpFilters = new Map();
+  const dnrRules = new Map();
+  let regexRuleCount = 0;
+
+  const skip = (entry, target, reason) => {
+    untranslatable.push({ technology: entry.technology, type: entry.type, pattern: entry.pattern, target, reason });
+  };
+
+  const link = (existing, entry, tech) => {
+    if (!existing.technologies.includes(entry.technology)) {
+      existing.technologies.push(entry.technology);
+      existing.categories = Array.from(new Set([...existing.categories, ...tech.categoryNames]));
+    }
+    if (!existing.origins.includes(entry.origin || 'upstream')) {
+      existing.origins.push(entry.origin || 'upstream');
+    }
+  };
+
+  candidates.forEach(entry => {
+    const tech = technologies.get(entry.technology);
+    const regex = entry.regex || '';
+    const resourceType = RESOURCE_TYPES[entry.type];
+
+    if (!regex || tryCompilePattern({ regex, flags: 'i' }).error) {
+      skip(entry, 'all', 'empty or invalid regex');
+      return;
+    }
+
+    const literal = regexToLiteral(regex);
+    const meta = {
+      technologies: [entry.technology],
+      categories: [...tech.categoryNames],
+      riskLevel: tech.riskLevel,
+      pattern: entry.pattern,
+      origins: [entry.origin || 'upstream']
+    };
+
+    // Adblock Plus / uBlock Origin
+    const abpIssue = literal ? null : abpRegexIssue(regex);
+    if (abpIssue) {
+      skip(entry, 'abp', abpIssue);
+    } else {
+      const body = literal || `/${regex.replace(/\\\//g, '/').replace(/\//g, '\\/')}/`;
+      const filter = `${body}$${resourceType.abp}`;
+      if (abpFilters.has(filter)) link(abpFilters.get(filter), entry, tech);
+      else abpFilters.set(filter, { ...meta, origins: [...meta.origins] });
+    }
+
+    // declarativeNetRequest
+    const dnrIssue = literal ? null : dnrRegexIssue(regex, maxRegexLength);
+    if (dnrIssue) {
+      skip(entry, 'dnr', dnrIssue);
+      return;
+    }
+
+    const conditionKey = `${literal ? 'url' : 'regex'}\u0000${literal || regex}\u0000${resourceType.dnr}`;
+    if (dnrRules.has(conditionKey)) {
+      link(dnrRules.get(conditionKey).meta, entry, tech);
+      return;
+    }
+    if (dnrRules.size >= maxRules) {
+      skip(entry, 'dnr', `rule limit of ${maxRules} reached`);
+      return;
+    }
+    if (!literal && regexRuleCount >= maxRegexRules) {
+      skip(entry, 'dnr', `regex rule limit of ${maxRegexRules} reached`);
+      return;
+    }
+    if (!literal) regexRuleCount++;
+
+    dnrRules.set(conditionKey, {
+      condition: {
+        ...(literal ? { urlFilter: literal } : { regexFilter: regex }),
+        isUrlFilterCaseSensitive: false,
+        resourceTypes: [resourceType.dnr]
+      },
+      meta
+    });
+  });
+
+  const rules = [];
+  const ruleMap = {};
+  Array.from(dnrRules.values()).forEach(({ condition, meta }, index) => {
+    const id = index + 1;
+    rules.push({ id, priority: 1, action: { type: 'block' }, condition });
+    ruleMap[id] = meta;
+  });
+
+  return {
+    filterList: renderFilterList(abpFilters, riskLevel, generatedAt, options.source),
+    dnrRules: rules,
+    dnrRuleMap: ruleMap,
+    report: {
+      generatedAt,
+      riskLevel,
+      technologies: technologies.size,
+      candidatePatterns: candidates.length,
+      abpFilters: abpFilters.size,
+      dnrRules: rules.length,
+      dnrRegexRules: regexRuleCount,
+      limits: { maxRules, maxRegexRules, maxRegexLength },
+      untranslatable
+    }
+  };
+}
+
+function renderFilterList(filters, riskLevel, generatedAt, source) {
+  const lines = [
+    '[Adblock Plus 2.0]',
+    `! Title: Wappalyzer Privacy Trackers (${riskLevel} risk and above)`,
+    `! Last modified: ${generatedAt}`,
+    '! Generated by Wappalyzer Privacy Technology Scraper'
+  ];
+  if (source) lines.push(`! Source: ${source}`);
+  lines.push('!');
+
+  filters.forEach((meta, filter) => {
+    lines.push(`! ${meta.technologies.join(', ')} | ${meta.categories.join(', ')} | ${meta.riskLevel}`);
+    lines.push(filter);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  RISK_THRESHOLDS,
+  regexToLiteral,
+  buildBlocklists
+};
@@ -0,0 +1,346 @@
+/**
+ * Command Line Interface
+ *
+ * Thin wrapper around the WappalyzerScraper API: parses arguments, runs the
+ * requested command and turns rejected promises into exit codes.
+ */
+
+const { formatSearch, formatShow, formatExplanation, formatMatches } = require('./explorer');
+
+const OPTIONS_WITH_VALUES = new Set([
+  '--config', '--source', '--revision', '--threshold', '--har', '--output', '--cookie', '--js', '--url', '--iterations',
+  '--port', '--host', '--interval', '--risk', '--category', '--method'
+]);
+
+const HELP = `
+Wappalyzer Privacy Technology Scraper
+
+Usage: node wappalyzer-scraper.js [options]
+       node wappalyzer-scraper.js detect <page.json> [options]
+       node wappalyzer-scraper.js lookup [--cookie <name>] [--js <global>] [--url <url>]
+       node wappalyzer-scraper.js search [name] [--risk <level>] [--category <id|name>] [--method <method>] [--json]
+       node wappalyzer-scraper.js show|explain <technology> [--json]
+       node wappalyzer-scraper.js match <cookie|url|global>... [--json]
+       node wappalyzer-scraper.js serve [--port <n>] [--host <address>]
+       node wappalyzer-scraper.js verify [output-dir]
+       node wappalyzer-scraper.js watch [--interval <ms>] [--once]
+
+Commands:
+  detect <page.json> Match a captured page (url, headers, cookies, html,
+                     scriptSrc, xhr, js, meta) against extension-database.json
+                     and print the detected technologies as JSON
+  diff <previous-dir> [current-dir]
+                     Compare two output directories (current defaults to
+                     outputDir), write changes.json and CHANGES.md to the
+                     current one and exit with code 2 when a change threshold
+                     is exceeded
+  audit --har <file> Replay the requests, headers and cookies of a HAR file
+                     against the privacy datasets and write per-site JSON and
+                     Markdown reports (default: <outputDir>/audits)
+  lookup             Print the technologies matching the given cookie names,
+                     JavaScript globals and URLs (flags may be repeated) using
+                     lookup-index.json
+  lookup --benchmark Time the lookup index against a scan of the flat pattern
+                     lists and report queries where they disagree
+  search [name]      List the privacy technologies whose name contains
+                     <name> and that match --risk, --category and --method
+                     (each repeatable or comma-separated)
+  show <technology>  Print every field of a technology and all its patterns
+  explain <technology>
+                     Show how the scoring model rated a technology: the
+                     weight and points of each category, bonuses, overrides
+                     and the risk threshold it reached
+  match <value>...   List the technologies whose cookie, JavaScript global or
+                     URL patterns match each value (values with a scheme are
+                     URLs, others cookie names and globals)
+  serve              Serve the output directory over HTTP: GET /technologies
+                     (?risk=&category=&method=&saas=), /technologies/<name>,
+                     /lookup?cookie=&js=&url= and /summary, reloading when
+                     the scraper regenerates the data
+  verify [output-dir]
+                     Re-derive the outputs (default: outputDir) from the
+                     source, revision and config recorded in provenance.json
+                     and exit with code 2 unless they are byte-identical
+  watch              Re-run the scraper every watch.interval, skipping runs
+                     where the upstream files are unchanged (conditional
+                     requests), keep the last watch.history snapshots in
+                     <outputDir>/history and send dataset changes to the
+                     watch.webhooks and watch.command hooks
+
+Options:
+  --config <path>    Path to configuration file (default: ./config.json)
+  --source <spec>    Read Wappalyzer data from a URL, file:// URL, local src/
+                     directory or .tar.gz/.zip archive (overrides config)
+  --revision <rev>   Upstream commit SHA, tag or branch to pin the source's
+                     {revision} placeholder to (overrides config)
+  --dry-run          Validate configuration and exit without scraping
+  --output <dir>     Output directory for audit reports, or the directory
+                     to serve (default: outputDir)
+  --threshold <n>    Maximum total number of changes allowed by diff
+                     (overrides changeThresholds.total from config)
+  --risk <level>     Risk level for search: none, low, medium or high
+  --category <c>     Category ID or name for search
+  --method <method>  Detection method for search, e.g. cookies, network
+  --json             Print search, show, explain and match results as JSON
+                     instead of a table
+  --iterations <n>   Passes over the sample queries for lookup --benchmark
+                     (default: 5)
+  --port <n>         Port for serve (default: 8080)
+  --host <address>   Address for serve to bind (default: 127.0.0.1)
+  --interval <ms>    Milliseconds between watch runs (overrides
+                     watch.interval from config)
+  --once             Run a single watch cycle and exit
+  --help, -h         Show this help message
+
+Examples:
+  node wappalyzer-scraper.js
+  node wappalyzer-scraper.js --config custom-config.json
+  node wappalyzer-scraper.js --source ../wappalyzer/src
+  node wappalyzer-scraper.js --source wappalyzer-main.tar.gz
+  node wappalyzer-scraper.js --revision v6.10.66
+  node wappalyzer-scraper.js --dry-run
+  node wappalyzer-scraper.js detect captured-page.json
+  node wappalyzer-scraper.js diff ./release-data ./wappalyzer-data --threshold 50
+  node wappalyzer-scraper.js audit --har shop.example.com.har
+  node wappalyzer-scraper.js lookup --cookie _ga --url https://www.google-analytics.com/analytics.js
+  node wappalyzer-scraper.js lookup --benchmark
+  node wappalyzer-scraper.js search --risk high --method cookies
+  node wappalyzer-scraper.js search hot --category Analytics --json
+  node wappalyzer-scraper.js show Hotjar
+  node wappalyzer-scraper.js explain "Google Analytics"
+  node wappalyzer-scraper.js match _hjSessionUser_123 https://static.hotjar.com/c/hotjar-1.js
+  node wappalyzer-scraper.js serve --port 3000
+  node wappalyzer-scraper.js verify ./release-data
+  node wappalyzer-scraper.js watch --interval 900000
+`;
+
+function parseArgs(args) {
+  const valueOf = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+  const valuesOf = flag => args.filter((arg, i) => args[i - 1] === flag);
+  const [command, ...commandArgs] = args.filter((arg, i) =>
+    !arg.startsWith('-') && !OPTIONS_WITH_VALUES.has(args[i - 1])
+  );
+
+  return {
+    command,
+    commandArgs,
+    configPath: valueOf('--config') || './config.json',
+    source: valueOf('--source'),
+    revision: valueOf('--revision'),
+    threshold: valueOf('--threshold'),
+    har: valueOf('--har'),
+    output: valueOf('--output'),
+    cookie: valuesOf('--cookie'),
+    jsGlobal: valuesOf('--js'),
+    url: valuesOf('--url'),
+    risk: valuesOf('--risk'),
+    category: valuesOf('--category'),
+    method: valuesOf('--method'),
+    json: args.includes('--json'),
+    iterations: valueOf('--iterations'),
+    benchmark: args.includes('--benchmark'),
+    port: valueOf('--port'),
+    host: valueOf('--host'),
+    interval: valueOf('--interval'),
+    once: args.includes('--once'),
+    dryRun: args.includes('--dry-run'),
+    help: args.includes('--help') || args.includes('-h')
+  };
+}
+
+function usageError(usage) {
+  const error = new Error(`Usage: node wappalyzer-scraper.js ${usage}`);
+  error.usage = true;
+  return error;
+}
+
+const commands = {
+  async detect(scraper, { commandArgs }) {
+    const pageFile = commandArgs[0];
+    if (!pageFile) throw usageError('detect <page.json>');
+
+    const detections = await scraper.detect(await scraper.readJsonFile(pageFile));
+    console.log(JSON.stringify(detections, null, 2));
+    return 0;
+  },
+
+  async diff(scraper, { commandArgs, threshold }) {
+    const [previousDir, currentDir] = commandArgs;
+    if (!previousDir) throw usageError('diff <previous-dir> [current-dir]');
+
+    const thresholds = { ...scraper.changeThresholds };
+    if (threshold !== undefined) {
+      thresholds.total = Number(threshold);
+    }
+
+    const { violations } = await scraper.diffOutputs(previousDir, currentDir || scraper.outputDir, thresholds);
+    return violations.length > 0 ? 2 : 0;
+  },
+
+  async audit(scraper, { commandArgs, har, output }) {
+    const harFile = har || commandArgs[0];
+    if (!harFile) throw usageError('audit --har <file>');
+
+    await scraper.auditHar(harFile, { outputDir: output });
+    return 0;
+  },
+
+  async lookup(scraper, { cookie, jsGlobal, url, benchmark, iterations }) {
+    if (benchmark) {
+      const result = await scraper.benchmarkLookup(iterations ? { iterations: Number(iterations) } : {});
+      console.log(`📊 ${result.queries} queries x ${result.iterations} iterations`);
+      console.log(`   Index: ${result.index.perLookupUs} µs/lookup (${result.index.totalMs} ms total)`);
+      console.log(`   Flat:  ${result.flat.perLookupUs} µs/lookup (${result.flat.totalMs} ms total)`);
+      console.log(`   Speedup: ${result.speedup}x, disagreements: ${result.mismatches}`);
+      result.examples.forEach(({ query, index, flat }) => {
+        console.log(`   - ${JSON.stringify(query)}: index [${index.join(', ')}], flat [${flat.join(', ')}]`);
+      });
+      return 0;
+    }
+
+    if (cookie.length + jsGlobal.length + url.length === 0) {
+      throw usageError('lookup [--cookie <name>] [--js <global>] [--url <url>] | lookup --benchmark');
+    }
+    console.log(JSON.stringify(await scraper.lookup({ cookie, jsGlobal, url }), null, 2));
+    return 0;
+  },
+
+  async search(scraper, { commandArgs, risk, category, method, json }) {
+    const technologies = await scraper.search({ name: commandArgs.join(' ') || null, risk, category, method });
+    console.log(json ? JSON.stringify(technologies, null, 2) : formatSearch(technologies));
+    return 0;
+  },
+
+  async show(scraper, { commandArgs, json }) {
+    const name = commandArgs.join(' ');
+    if (!name) throw usageError('show <technology>');
+
+    const technology = await scraper.show(name);
+    if (!technology) throw new Error(`Unknown technology: ${name}`);
+    console.log(json ? JSON.stringify(technology, null, 2) : formatShow(technology));
+    return 0;
+  },
+
+  async explain(scraper, { commandArgs, json }) {
+    const name = commandArgs.join(' ');
+    if (!name) throw usageError('explain <technology>');
+
+    const explanation = await scraper.explain(name);
+    if (!explanation) throw new Error(`Unknown technology: ${name}`);
+    console.log(json ? JSON.stringify(explanation, null, 2) : formatExplanation(explanation));
+    return 0;
+  },
+
+  async match(scraper, { commandArgs, json }) {
+    if (commandArgs.length === 0) throw usageError('match <cookie|url|global>...');
+
+    const results = await scraper.match(commandArgs);
+    console.log(json ? JSON.stringify(results, null, 2) : formatMatches(results));
+    return 0;
+  },
+
+  async serve(scraper, { port, host, output }) {
+    const server = await scraper.serve({
+      port: port === undefined ? 8080 : Number(port),
+      host: host || '127.0.0.1',
+      outputDir: output
+    });
+
+    // Run until interrupted
+    await new Promise(resolve => {
+      process.once('SIGINT', resolve);
+      process.once('SIGTERM', resolve);
+    });
+    console.log('👋 Stopping server...');
+    await server.close();
+    return 0;
+  },
+
+  async verify(scraper, { commandArgs }) {
+    const result = await scraper.verify(commandArgs[0] || scraper.outputDir);
+    console.log(`🧾 ${result.directory}: ${result.identical.length} identical, ${result.different.length} different, ${result.inputs.changed.length + result.inputs.missing.length} inputs changed`);
+    return result.reproducible ? 0 : 2;
+  },
+
+  async watch(scraper, { interval, once }) {
+    const settings = once ? { cycles: 1 } : {};
+    if (interval !== undefined) {
+      settings.interval = Number(interval);
+    }
+    const watcher = await scraper.watch(settings);
+
+    // Run until interrupted or the last cycle is done
+    const interrupted = await Promise.race([
+      watcher.done.then(() => false),
+      new Promise(resolve => {
+        process.once('SIGINT', () => resolve(true));
+        process.once('SIGTERM', () => resolve(true));
+      })
+    ]);
+    if (interrupted) {
+      console.log('👋 Stopping watch after the current cycle...');
+    }
+    await watcher.stop();
+    return 0;
+  }
+};
+
+async function execute(WappalyzerScraper, options) {
+  // A mistyped command must not fall through to a full scrape
+  if (options.command !== undefined && !Object.hasOwn(commands, options.command)) {
+    const error = usageError(`[${Object.keys(commands).join('|')}] [options]`);
+    error.message = `Unknown command "${options.command}". ${error.message}`;
+    throw error;
+  }
+
+  const scraper = new WappalyzerScraper(options.configPath, { source: options.source, revision: options.revision });
+
+  if (options.dryRun) {
+    console.log('🔍 Dry run mode - validating configuration...');
+    scraper.validateConfiguration();
+    console.log('✅ Configuration is valid');
+    return 0;
+  }
+
+  if (options.command !== undefined) {
+    return commands[options.command](scraper, options);
+  }
+
+  await scraper.run();
+  return 0;
+}
+
+/**
+ * Runs the CLI with `args` (process.argv without node and the script) and
+ * exits with 0 on success, 1 on failure and 2 when diff thresholds are exceeded
+ * or verify finds outputs that differ.
+ */
+async function main(WappalyzerScraper, args) {
+  const options = parseArgs(args);
+
+  if (options.help) {
+    console.log(HELP);
+    exit(0);
+    return;
+  }
+
+  try {
+    exit(await execute(WappalyzerScraper, options));
+  } catch (error) {
+    console.error(`❌ ${error.usage ? '' : `${error.name}${error.code ? ` [${error.code}]` : ''}: `}${error.message}`);
+    if (error.cause && !error.usage) {
+      console.error('Caused by:', error.cause.stack || error.cause);
+    }
+    exit(1);
+  }
+}
+
+// Exits once stdout is flushed, so large JSON output piped to another program isn't cut off
+function exit(code) {
+  process.stdout.write('', () => process.exit(code));
+}
+
+module.exports = {
+  main,
+  parseArgs
+};
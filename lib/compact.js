@@ -0,0 +1,119 @@
+/**
+ * Compact Output
+ *
+ * Variants of the datasets for update channels: minified JSON with gzip and
+ * brotli copies, NDJSON for the pattern datasets (one entry per line, written
+ * as a stream) and the extension database split into shards by category or
+ * by first letter, listed with their hashes in a manifest so clients only
+ * download the shards that changed.
+ */
+
+const zlib = require('zlib');
+const { sha256 } = require('./provenance');
+
+const SHARD_DIR = 'extension-shards';
+const SHARD_STRATEGIES = ['category', 'letter'];
+
+// Fixed levels keep the compressed files byte-identical between runs
+const COMPRESSIONS = {
+  gzip: {
+    extension: '.gz',
+    compress: buffer => zlib.gzipSync(buffer, { level: 9 })
+  },
+  brotli: {
+    extension: '.br',
+    compress: buffer => zlib.brotliCompressSync(buffer, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: 11,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buffer.length
+      }
+    })
+  }
+};
+
+const DEFAULT_COMPACT_OUTPUT = {
+  minify: false,
+  compression: [],
+  ndjson: false,
+  shards: null,
+  files: [
+    'privacy-technologies.json',
+    'cookie-patterns.json',
+    'javascript-patterns.json',
+    'network-patterns.json',
+    'header-patterns.json',
+    'meta-patterns.json',
+    'html-patterns.json',
+    'additional-patterns.json',
+    'complete-database.json',
+    'extension-database.json'
+  ]
+};
+
+/**
+ * Shard a technology belongs to: `category-<id>` of its first privacy
+ * category (or first category), or the lower-cased first letter of its name
+ * with `_` for names that don't start with a letter, as upstream names its
+ * technology files.
+ */
+function shardKey(strategy, name, tech, privacyCategories) {
+  if (strategy === 'letter') {
+    const letter = name.charAt(0).toLowerCase();
+    return /[a-z]/.test(letter) ? letter : '_';
+  }
+
+  const cats = tech.cats || [];
+  const category = cats.find(cat => privacyCategories.has(cat)) ?? cats[0];
+  return category === undefined ? 'category-none' : `category-${category}`;
+}
+
+/**
+ * Splits the technologies of an extension database into shards sorted by
+ * key. Shards hold no timestamp, so a shard whose technologies didn't change
+ * is byte-identical to the previous run's.
+ */
+function shardExtensionDatabase(db, strategy) {
+  const privacyCategories = new Set(db.privacyCategories);
+  const shards = new Map();
+
+  Object.entries(db.technologies).forEach(([name, tech]) => {
+    const key = shardKey(strategy, name, tech, privacyCategories);
+    if (!shards.has(key)) {
+      shards.set(key, { shard: key, shardBy: strategy, technologies: {} });
+    }
+    shards.get(key).technologies[name] = tech;
+  });
+
+  return Array.from(shards.values()).sort((a, b) => a.shard.localeCompare(b.shard));
+}
+
+/**
+ * Manifest of a sharded extension database: the database without its
+ * technologies, and the file, size and SHA-256 of every shard and of each
+ * compressed copy of it.
+ */
+function createShardManifest(db, strategy, shards) {
+  const { technologies, ...rest } = db;
+
+  return {
+    ...rest,
+    shardBy: strategy,
+    technologies: Object.keys(technologies).length,
+    shards
+  };
+}
+
+function fileEntry(file, content) {
+  return { file, bytes: Buffer.byteLength(content), sha256: sha256(content) };
+}
+
+module.exports = {
+  SHARD_DIR,
+  SHARD_STRATEGIES,
+  COMPRESSIONS,
+  DEFAULT_COMPACT_OUTPUT,
+  shardKey,
+  shardExtensionDatabase,
+  createShardManifest,
+  fileEntry
+};
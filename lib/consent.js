@@ -0,0 +1,214 @@
+/**
+ * Consent Classification
+ *
+ * Maps privacy technologies and their cookies onto GDPR consent purposes
+ * (strictly necessary, functional, analytics, marketing), CCPA "sale or
+ * share" and IAB TCF v2.2 purpose IDs, starting from Wappalyzer categories
+ * and applying per-technology overrides.
+ */
+
+// Ordered from least to most restrictive; a technology's primary purpose is
+// the most restrictive one it has
+const PURPOSES = ['necessary', 'functional', 'analytics', 'marketing'];
+
+const PURPOSE_LABELS = {
+  necessary: 'Strictly necessary',
+  functional: 'Functional',
+  analytics: 'Analytics',
+  marketing: 'Marketing / advertising',
+  unclassified: 'Unclassified'
+};
+
+const DEFAULT_CATEGORY_PURPOSES = {
+  10: 'analytics', // Analytics
+  32: 'marketing', // Marketing automation
+  36: 'marketing', // Advertising
+  42: 'functional', // Tag managers
+  67: 'necessary', // Cookie compliance
+  71: 'marketing', // Affiliate programs
+  76: 'functional', // Personalisation
+  77: 'marketing', // Retargeting
+  78: 'analytics', // RUM
+  83: 'marketing', // Browser fingerprinting
+  86: 'marketing', // Segmentation
+  97: 'marketing' // Customer data platform
+};
+
+// Categories whose data flows count as a "sale" or "share" under the CCPA/CPRA
+const DEFAULT_SALE_OR_SHARE_CATEGORIES = [36, 71, 77, 83, 97];
+
+// IAB TCF v2.2 purposes: 1 store/access information on a device, 2 limited
+// data for ads, 3-4 personalised ads profiles, 5-6 personalised content
+// profiles, 7 measure ads, 8 measure content, 9 audience statistics,
+// 10 develop services, 11 limited data for content
+const DEFAULT_TCF_PURPOSES = {
+  necessary: [],
+  functional: [1, 5, 6, 11],
+  analytics: [1, 8, 9, 10],
+  marketing: [1, 2, 3, 4, 7, 9]
+};
+
+// TCF special feature 2: actively scanning device characteristics for identification
+const DEFAULT_TCF_SPECIAL_FEATURES = { 83: [2] };
+
+class ConsentClassifier {
+  constructor(consent = {}) {
+    this.categoryPurposes = normalizeMap(consent.categoryPurposes || DEFAULT_CATEGORY_PURPOSES, toPurposeList);
+    this.saleOrShareCategories = new Set((consent.saleOrShareCategories || DEFAULT_SALE_OR_SHARE_CATEGORIES).map(Number));
+    this.tcfPurposes = { ...DEFAULT_TCF_PURPOSES, ...(consent.tcfPurposes || {}) };
+    this.tcfSpecialFeatures = normalizeMap(consent.tcfSpecialFeatures || DEFAULT_TCF_SPECIAL_FEATURES, list => [].concat(list));
+    this.overrides = consent.overrides || {};
+  }
+
+  /**
+   * Returns the unknown purposes used by the configuration, so it can be
+   * rejected before a run.
+   */
+  invalidPurposes() {
+    const used = [
+      ...Object.values(this.categoryPurposes).flat(),
+      ...Object.values(this.overrides).flatMap(override => [
+        ...toPurposeList(override.purposes || []),
+        ...Object.values(override.cookies || {}).flatMap(toPurposeList)
+      ])
+    ];
+    return Array.from(new Set(used.filter(purpose => !PURPOSES.includes(purpose))));
+  }
+
+  classifyTechnology(tech) {
+    const override = this.overrides[tech.name] || {};
+    const categories = tech.categories || [];
+
+    const purposes = override.purposes
+      ? toPurposeList(override.purposes)
+      : sortPurposes(categories.flatMap(cat => this.categoryPurposes[cat] || []));
+    const saleOrShare = typeof override.saleOrShare === 'boolean'
+      ? override.saleOrShare
+      : categories.some(cat => this.saleOrShareCategories.has(cat));
+
+    return this.describe(purposes, {
+      saleOrShare,
+      tcfPurposes: override.tcfPurposes,
+      tcfSpecialFeatures: override.tcfSpecialFeatures || categories.flatMap(cat => this.tcfSpecialFeatures[cat] || []),
+      source: override.purposes ? 'override' : purposes.length > 0 ? 'category' : 'none'
+    });
+  }
+
+  classifyCookie(technology, cookie, techClassification) {
+    const purpose = this.overrides[technology]?.cookies?.[cookie];
+    if (!purpose) return techClassification;
+
+    return this.describe(toPurposeList(purpose), {
+      saleOrShare: techClassification.ccpaSaleOrShare,
+      tcfSpecialFeatures: techClassification.tcfSpecialFeatures,
+      source: 'override'
+    });
+  }
+
+  describe(purposes, { saleOrShare, tcfPurposes, tcfSpecialFeatures = [], source }) {
+    const primaryPurpose = purposes.length > 0 ? purposes[purposes.length - 1] : 'unclassified';
+
+    return {
+      purposes,
+      primaryPurpose,
+      // Unclassified technologies are treated as needing consent
+      requiresConsent: primaryPurpose !== 'necessary',
+      ccpaSaleOrShare: saleOrShare,
+      tcfPurposes: tcfPurposes
+        ? [...tcfPurposes].sort((a, b) => a - b)
+        : Array.from(new Set(purposes.flatMap(purpose => this.tcfPurposes[purpose] || []))).sort((a, b) => a - b),
+      tcfSpecialFeatures: Array.from(new Set(tcfSpecialFeatures)).sort((a, b) => a - b),
+      source
+    };
+  }
+
+  /**
+   * Builds consent-classification.json from the privacy technologies and the
+   * cookie patterns generated for them.
+   */
+  classify(privacyTechnologies, cookiePatterns = [], generatedAt = new Date().toISOString()) {
+    const byName = new Map(privacyTechnologies.map(tech => [tech.name, this.classifyTechnology(tech)]));
+
+    // Technologies listed only for the risk of what they imply take that technology's purposes
+    privacyTechnologies.forEach(tech => {
+      const inheritedFrom = byName.get(tech.riskInheritedFrom);
+      if (byName.get(tech.name).source === 'none' && inheritedFrom) {
+        byName.set(tech.name, { ...inheritedFrom, source: 'inherited' });
+      }
+    });
+
+    const technologies = privacyTechnologies.map(tech => ({
+      name: tech.name,
+      categories: tech.categoryNames || [],
+      riskLevel: tech.riskLevel,
+      origin: tech.origin || 'upstream',
+      ...byName.get(tech.name)
+    }));
+
+    const cookies = cookiePatterns
+        .filter(entry => byName.has(entry.technology))
+        .map(entry => ({
+          technology: entry.technology,
+          cookie: entry.pattern,
+          regex: entry.regex,
+          flags: entry.flags,
+          origin: entry.origin || 'upstream',
+          ...this.classifyCookie(entry.technology, entry.pattern, byName.get(entry.technology))
+        }));
+
+    return {
+      generatedAt,
+      purposes: { ...PURPOSE_LABELS },
+      summary: {
+        technologies: summarize(technologies),
+        cookies: summarize(cookies)
+      },
+      technologies,
+      cookies
+    };
+  }
+}
+
+function summarize(items) {
+  const byPurpose = Object.fromEntries([...PURPOSES, 'unclassified'].map(purpose => [purpose, 0]));
+  const tcfPurposes = {};
+
+  items.forEach(item => {
+    byPurpose[item.primaryPurpose]++;
+    item.tcfPurposes.forEach(id => {
+      tcfPurposes[id] = (tcfPurposes[id] || 0) + 1;
+    });
+  });
+
+  return {
+    total: items.length,
+    byPurpose,
+    requiresConsent: items.filter(item => item.requiresConsent).length,
+    ccpaSaleOrShare: items.filter(item => item.ccpaSaleOrShare).length,
+    tcfPurposes
+  };
+}
+
+function toPurposeList(value) {
+  return sortPurposes([].concat(value).map(String));
+}
+
+function sortPurposes(purposes) {
+  const unique = Array.from(new Set(purposes));
+  const rank = purpose => (PURPOSES.includes(purpose) ? PURPOSES.indexOf(purpose) : PURPOSES.length);
+  return unique.sort((a, b) => rank(a) - rank(b));
+}
+
+function normalizeMap(map, convert) {
+  const normalized = {};
+  Object.entries(map).forEach(([id, value]) => {
+    normalized[Number(id)] = convert(value);
+  });
+  return normalized;
+}
+
+module.exports = {
+  PURPOSES,
+  PURPOSE_LABELS,
+  ConsentClassifier
+};
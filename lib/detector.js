@@ -0,0 +1,211 @@
+/**
+ * Page Detection Engine
+ *
+ * Runs the patterns from `extension-database.json` against a captured page
+ * and reports which privacy technologies are present. That database only
+ * holds the privacy categories, so other technologies are never detected.
+ *
+ * Page data shape (all fields optional); cookies set by `set-cookie` headers
+ * are added to `cookies` unless a cookie of the same name is given:
+ *   {
+ *     url: 'https://example.com/',
+ *     headers: { 'set-cookie': ['...'], server: 'nginx' },
+ *     cookies: { _ga: 'GA1.2.3' } | [{ name, value }],
+ *     html: '<html>...</html>',
+ *     scriptSrc: ['https://www.google-analytics.com/analytics.js'],
+ *     xhr: ['https://api.example.com/collect'],
+ *     js: ['ga', 'dataLayer'] | { 'jQuery.fn.jquery': '3.6.0' },
+ *     meta: { generator: 'WordPress 6.4' } | [{ name, content }]
+ *   }
+ */
+
+const {
+  parsePattern,
+  compilePattern,
+  tryCompilePattern,
+  resolveVersion,
+  toPatternEntries,
+  keyToRegex
+} = require('./patterns');
+
+// Detection fields keyed by a name (cookie name, global, header, meta name)
+const KEYED_FIELDS = ['cookies', 'js', 'headers', 'meta'];
+// Detection fields matched against a list of strings
+const LIST_FIELDS = ['url', 'html', 'scriptSrc', 'xhr'];
+
+class Detector {
+  constructor(database, options = {}) {
+    if (!database || typeof database.technologies !== 'object') {
+      throw new Error('Invalid detection database: missing technologies');
+    }
+
+    this.categories = database.categories || {};
+    this.getRiskLevel = options.getRiskLevel || (() => undefined);
+    this.invalidPatterns = [];
+    this.technologies = this.compileTechnologies(database.technologies);
+  }
+
+  compileTechnologies(technologies) {
+    return Object.entries(technologies).map(([name, tech]) => {
+      const patterns = [];
+
+      [...KEYED_FIELDS, ...LIST_FIELDS].forEach(type => {
+        toPatternEntries(tech[type]).forEach(({ key, pattern }) => {
+          const parsed = parsePattern(pattern);
+          const { regexp, error } = tryCompilePattern(parsed);
+
+          if (!regexp) {
+            this.invalidPatterns.push({ technology: name, type, key, pattern, error });
+            return;
+          }
+
+          patterns.push({
+            type,
+            key,
+            keyMatcher: key !== null ? this.compileKey(type, key) : null,
+            pattern,
+            regexp,
+            version: parsed.version,
+            confidence: parsed.confidence
+          });
+        });
+      });
+
+      return { name, tech, patterns };
+    });
+  }
+
+  compileKey(type, key) {
+    const matcher = compilePattern(keyToRegex(type, key));
+    return name => matcher.test(name);
+  }
+
+  detect(pageData = {}) {
+    const page = this.normalizePage(pageData);
+    const detections = [];
+
+    this.technologies.forEach(({ name, tech, patterns }) => {
+      const matches = [];
+      const versions = [];
+      let confidence = 0;
+
+      patterns.forEach(pattern => {
+        const hit = this.matchPattern(pattern, page);
+        if (!hit) return;
+
+        confidence += pattern.confidence;
+        const version = resolveVersion(pattern.version, hit.match);
+        if (version) versions.push(version);
+
+        matches.push({
+          type: pattern.type,
+          key: pattern.key,
+          pattern: pattern.pattern,
+          value: hit.value,
+          ...(version ? { version } : {})
+        });
+      });
+
+      if (matches.length === 0) return;
+
+      const threatLevel = typeof tech.threatLevel === 'number' ? tech.threatLevel : 0;
+      const categories = Array.isArray(tech.cats) ? tech.cats : [];
+
+      detections.push({
+        name,
+        categories,
+        categoryNames: categories.map(cat => this.categories[cat]?.name || `Unknown(${cat})`),
+        threatLevel,
+        riskLevel: this.getRiskLevel(threatLevel),
+        confidence: Math.min(confidence, 100),
+        version: this.pickVersion(versions),
+        matches
+      });
+    });
+
+    detections.sort((a, b) => b.threatLevel - a.threatLevel || b.confidence - a.confidence);
+    return detections;
+  }
+
+  matchPattern(pattern, page) {
+    if (pattern.key !== null) {
+      for (const [name, values] of page[pattern.type]) {
+        if (!pattern.keyMatcher(name)) continue;
+        for (const value of values) {
+          const match = pattern.regexp.exec(value);
+          if (match) return { match, value: `${name}=${value}` };
+        }
+      }
+      return null;
+    }
+
+    for (const value of page[pattern.type]) {
+      const match = pattern.regexp.exec(value);
+      if (match) return { match, value: value.length > 200 ? `${value.slice(0, 200)}…` : value };
+    }
+    return null;
+  }
+
+  pickVersion(versions) {
+    if (versions.length === 0) return '';
+    return versions.reduce((best, version) => (version.length > best.length ? version : best));
+  }
+
+  /**
+   * Cookie names and values from `set-cookie` header values (one cookie per
+   * value or line), without their attributes.
+   */
+  static parseSetCookie(value) {
+    return String(value || '')
+        .split('\n')
+        .map(line => line.split(';')[0].trim())
+        .filter(pair => pair.includes('='))
+        .map(pair => ({ name: pair.slice(0, pair.indexOf('=')).trim(), value: pair.slice(pair.indexOf('=') + 1).trim() }));
+  }
+
+  normalizePage(pageData) {
+    const toStrings = value => (Array.isArray(value) ? value : value ? [value] : [])
+        .filter(item => item !== undefined && item !== null)
+        .map(String);
+
+    const toEntries = (value, { nameKey = 'name', valueKey = 'value', lowercase = false } = {}) => {
+      const entries = new Map();
+      const add = (name, entryValue) => {
+        if (!name) return;
+        const key = lowercase ? String(name).toLowerCase() : String(name);
+        if (!entries.has(key)) entries.set(key, []);
+        entries.get(key).push(...(toStrings(entryValue).length > 0 ? toStrings(entryValue) : ['']));
+      };
+
+      if (Array.isArray(value)) {
+        value.forEach(item => {
+          if (typeof item === 'string') add(item, '');
+          else if (item && typeof item === 'object') add(item[nameKey], item[valueKey]);
+        });
+      } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([name, entryValue]) => add(name, entryValue));
+      }
+
+      return entries;
+    };
+
+    const headers = toEntries(pageData.headers, { lowercase: true });
+    const cookies = toEntries(pageData.cookies);
+    (headers.get('set-cookie') || []).flatMap(Detector.parseSetCookie).forEach(({ name, value }) => {
+      if (name && !cookies.has(name)) cookies.set(name, [value]);
+    });
+
+    return {
+      url: toStrings(pageData.url),
+      html: toStrings(pageData.html),
+      scriptSrc: toStrings(pageData.scriptSrc),
+      xhr: toStrings(pageData.xhr),
+      cookies,
+      js: toEntries(pageData.js),
+      headers,
+      meta: toEntries(pageData.meta, { valueKey: 'content', lowercase: true })
+    };
+  }
+}
+
+module.exports = Detector;
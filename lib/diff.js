@@ -0,0 +1,326 @@
+/**
+ * Dataset Diff
+ *
+ * Compares two output directories (or a previous snapshot with the current
+ * output) and summarises what changed between runs so upstream changes can be
+ * reviewed before release.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const SNAPSHOT_FILES = {
+  technologies: 'privacy-technologies.json',
+  cookies: 'cookie-patterns.json',
+  javascript: 'javascript-patterns.json',
+  network: 'network-patterns.json',
+  headers: 'header-patterns.json',
+  meta: 'meta-patterns.json',
+  html: 'html-patterns.json',
+  additional: 'additional-patterns.json',
+  complete: 'complete-database.json',
+  extension: 'extension-database.json'
+};
+
+const PATTERN_DATASETS = [
+  { key: 'cookies', title: 'Cookies' },
+  { key: 'javascript', title: 'JavaScript' },
+  { key: 'network', title: 'Network' },
+  { key: 'headers', title: 'Headers' },
+  { key: 'meta', title: 'Meta Tags' },
+  { key: 'html', title: 'HTML' },
+  { key: 'additional', title: 'Other Vectors' }
+];
+
+async function readJsonIfExists(filepath) {
+  try {
+    return JSON.parse(await fs.readFile(filepath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Could not read ${filepath}: ${error.message}`);
+  }
+}
+
+/**
+ * Loads the datasets needed for a diff from an output directory. Returns null
+ * when the directory holds no previous privacy dataset.
+ */
+async function loadSnapshot(dir) {
+  const snapshot = { dir: path.resolve(dir) };
+
+  for (const [key, filename] of Object.entries(SNAPSHOT_FILES)) {
+    snapshot[key] = await readJsonIfExists(path.join(dir, filename));
+  }
+
+  return finishSnapshot(snapshot);
+}
+
+/**
+ * Builds a snapshot from datasets already held in memory, keyed by output
+ * filename (as recorded by WappalyzerScraper#outputs).
+ */
+function snapshotFromOutputs(outputs, dir) {
+  const snapshot = { dir: path.resolve(dir) };
+
+  for (const [key, filename] of Object.entries(SNAPSHOT_FILES)) {
+    snapshot[key] = outputs[filename] || null;
+  }
+  return finishSnapshot(snapshot);
+}
+
+function finishSnapshot(snapshot) {
+  if (!snapshot.technologies) return null;
+
+  // Only categories are needed from the database dumps; the extension database
+  // (privacy categories only) is the fallback for older outputs
+  snapshot.categories = snapshot.complete?.categories || snapshot.extension?.categories || {};
+  delete snapshot.complete;
+  delete snapshot.extension;
+  return snapshot;
+}
+
+function diffTechnologies(previous, current) {
+  const before = new Map(previous.map(tech => [tech.name, tech]));
+  const after = new Map(current.map(tech => [tech.name, tech]));
+
+  const summarize = tech => ({
+    name: tech.name,
+    riskLevel: tech.riskLevel,
+    effectiveRiskLevel: tech.effectiveRiskLevel || tech.riskLevel,
+    categories: tech.categoryNames || [],
+    origin: tech.origin || 'upstream'
+  });
+
+  const added = current.filter(tech => !before.has(tech.name)).map(summarize);
+  const removed = previous.filter(tech => !after.has(tech.name)).map(summarize);
+  const riskChanges = [];
+
+  after.forEach((tech, name) => {
+    const old = before.get(name);
+    if (!old) return;
+
+    const oldEffective = old.effectiveRiskLevel || old.riskLevel;
+    const newEffective = tech.effectiveRiskLevel || tech.riskLevel;
+    if (old.riskLevel === tech.riskLevel && oldEffective === newEffective) return;
+
+    riskChanges.push({
+      name,
+      from: old.riskLevel,
+      to: tech.riskLevel,
+      threatLevelFrom: old.threatLevel,
+      threatLevelTo: tech.threatLevel,
+      effectiveFrom: oldEffective,
+      effectiveTo: newEffective
+    });
+  });
+
+  return { added, removed, riskChanges };
+}
+
+/**
+ * Pattern entries are matched up by technology, type and pattern (the n-th
+ * duplicate with the n-th); a matched entry whose other fields differ
+ * (regex, version, confidence, valuePattern, threatLevel, ...) is `changed`,
+ * listing each field's old and new value.
+ */
+function diffPatterns(previous = [], current = []) {
+  const keyOf = entry => [entry.technology, entry.type || '', entry.pattern].join('\u0000');
+  const summarize = entry => ({
+    technology: entry.technology,
+    ...(entry.type ? { type: entry.type } : {}),
+    pattern: entry.pattern
+  });
+  const group = entries => entries.reduce((groups, entry) => {
+    const key = keyOf(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+    return groups;
+  }, new Map());
+
+  const before = group(previous);
+  const after = group(current);
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  after.forEach((entries, key) => {
+    const oldEntries = before.get(key) || [];
+    entries.forEach((entry, i) => {
+      if (i >= oldEntries.length) {
+        added.push(summarize(entry));
+        return;
+      }
+      const fields = changedFields(oldEntries[i], entry);
+      if (Object.keys(fields).length > 0) changed.push({ ...summarize(entry), fields });
+    });
+  });
+  before.forEach((entries, key) => {
+    entries.slice((after.get(key) || []).length).forEach(entry => removed.push(summarize(entry)));
+  });
+
+  return { added, removed, changed };
+}
+
+// { field: { from, to } } for every field other than the identifying ones
+function changedFields(previous, current) {
+  const fields = {};
+  new Set([...Object.keys(previous), ...Object.keys(current)]).forEach(field => {
+    if (['technology', 'type', 'pattern'].includes(field)) return;
+    const from = previous[field] ?? null;
+    const to = current[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) fields[field] = { from, to };
+  });
+  return fields;
+}
+
+function diffCategories(previous, current) {
+  const nameOf = category => category?.name || '';
+  const added = [];
+  const removed = [];
+  const renamed = [];
+  const renumbered = [];
+
+  const previousByName = new Map(Object.entries(previous).map(([id, category]) => [nameOf(category), id]));
+  const currentByName = new Map(Object.entries(current).map(([id, category]) => [nameOf(category), id]));
+
+  Object.entries(current).forEach(([id, category]) => {
+    if (!previous[id]) {
+      const oldId = previousByName.get(nameOf(category));
+      if (oldId !== undefined && !current[oldId]) {
+        renumbered.push({ name: nameOf(category), from: Number(oldId), to: Number(id) });
+      } else {
+        added.push({ id: Number(id), name: nameOf(category) });
+      }
+    } else if (nameOf(previous[id]) !== nameOf(category)) {
+      renamed.push({ id: Number(id), from: nameOf(previous[id]), to: nameOf(category) });
+    }
+  });
+
+  Object.entries(previous).forEach(([id, category]) => {
+    if (current[id]) return;
+    const newId = currentByName.get(nameOf(category));
+    if (newId !== undefined && !previous[newId]) return; // reported as renumbered
+    removed.push({ id: Number(id), name: nameOf(category) });
+  });
+
+  return { added, removed, renamed, renumbered };
+}
+
+function diffSnapshots(previous, current, generatedAt = new Date().toISOString()) {
+  const technologies = diffTechnologies(previous.technologies || [], current.technologies || []);
+  const patterns = {};
+  PATTERN_DATASETS.forEach(({ key }) => {
+    // Datasets missing on either side (e.g. older outputs) are not diffed
+    patterns[key] = previous[key] && current[key]
+      ? diffPatterns(previous[key], current[key])
+      : { added: [], removed: [], changed: [] };
+  });
+  const categories = diffCategories(previous.categories || {}, current.categories || {});
+
+  const summary = {
+    addedTechnologies: technologies.added.length,
+    removedTechnologies: technologies.removed.length,
+    riskChanges: technologies.riskChanges.length,
+    addedPatterns: Object.values(patterns).reduce((sum, diff) => sum + diff.added.length, 0),
+    removedPatterns: Object.values(patterns).reduce((sum, diff) => sum + diff.removed.length, 0),
+    changedPatterns: Object.values(patterns).reduce((sum, diff) => sum + diff.changed.length, 0),
+    categoryChanges: Object.values(categories).reduce((sum, list) => sum + list.length, 0)
+  };
+  summary.total = Object.values(summary).reduce((sum, count) => sum + count, 0);
+
+  return {
+    generatedAt,
+    previous: previous.dir || null,
+    current: current.dir || null,
+    summary,
+    technologies,
+    patterns,
+    categories
+  };
+}
+
+/**
+ * Checks a diff against `{ metric: maxAllowed }` thresholds, where metric is
+ * any key of `changes.summary`. Returns the metrics that went over.
+ */
+function checkThresholds(changes, thresholds = {}) {
+  return Object.entries(thresholds)
+      .filter(([metric, limit]) => typeof limit === 'number' && metric in changes.summary)
+      .filter(([metric, limit]) => changes.summary[metric] > limit)
+      .map(([metric, limit]) => ({ metric, limit, actual: changes.summary[metric] }));
+}
+
+function renderChangelog(changes) {
+  const risk = tech => {
+    const level = (tech.riskLevel || 'none').toUpperCase();
+    return tech.effectiveRiskLevel && tech.effectiveRiskLevel !== tech.riskLevel
+      ? `${level}, effective ${tech.effectiveRiskLevel.toUpperCase()}`
+      : level;
+  };
+  const list = (items, format) => (items.length > 0 ? items.map(item => `- ${format(item)}`).join('\n') : '_None_');
+  const pattern = entry => `${entry.technology}${entry.type ? ` [${entry.type}]` : ''}: \`${entry.pattern}\``;
+  const fields = entry => Object.entries(entry.fields)
+      .map(([field, { from, to }]) => `${field} \`${JSON.stringify(from)}\` → \`${JSON.stringify(to)}\``)
+      .join(', ');
+  const patternSection = (title, diff) => `### ${title}
+**Added (${diff.added.length})**
+${list(diff.added, pattern)}
+
+**Removed (${diff.removed.length})**
+${list(diff.removed, pattern)}
+
+**Changed (${(diff.changed || []).length})**
+${list(diff.changed || [], entry => `${pattern(entry)} (${fields(entry)})`)}`;
+
+  return `# Dataset Changes
+
+Generated on: ${new Date(changes.generatedAt).toLocaleDateString()}
+
+## Summary
+- ➕ **Added Technologies**: ${changes.summary.addedTechnologies}
+- ➖ **Removed Technologies**: ${changes.summary.removedTechnologies}
+- ⚖️ **Risk Level Changes**: ${changes.summary.riskChanges}
+- 🧩 **Patterns Added / Removed / Changed**: ${changes.summary.addedPatterns} / ${changes.summary.removedPatterns} / ${changes.summary.changedPatterns ?? 0}
+- 🗂️ **Category Changes**: ${changes.summary.categoryChanges}
+
+## Technologies
+### Added
+${list(changes.technologies.added, tech => `**${tech.name}** (${risk(tech)})`)}
+
+### Removed
+${list(changes.technologies.removed, tech => `**${tech.name}** (${risk(tech)})`)}
+
+### Risk Level Changes
+${list(changes.technologies.riskChanges, change => `**${change.name}**: ${change.from} → ${change.to}${change.effectiveFrom !== change.effectiveTo ? ` (effective ${change.effectiveFrom} → ${change.effectiveTo})` : ''}`)}
+
+## Patterns
+${PATTERN_DATASETS
+      .filter(({ key }) => changes.patterns[key])
+      .map(({ key, title }) => patternSection(title, changes.patterns[key]))
+      .join('\n\n')}
+
+## Categories
+### Renumbered
+${list(changes.categories.renumbered, change => `**${change.name}**: ${change.from} → ${change.to}`)}
+
+### Renamed
+${list(changes.categories.renamed, change => `**${change.id}**: ${change.from} → ${change.to}`)}
+
+### Added
+${list(changes.categories.added, category => `**${category.id}**: ${category.name}`)}
+
+### Removed
+${list(changes.categories.removed, category => `**${category.id}**: ${category.name}`)}
+
+---
+*Changelog generated by Wappalyzer Privacy Technology Scraper*
+`;
+}
+
+module.exports = {
+  loadSnapshot,
+  snapshotFromOutputs,
+  diffSnapshots,
+  checkThresholds,
+  renderChangelog
+};
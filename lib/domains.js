@@ -0,0 +1,116 @@
+/**
+ * Domain Helpers
+ *
+ * Hostname and registrable domain (eTLD+1) helpers. The project has no
+ * dependencies, so instead of the full Public Suffix List this knows the
+ * common multi-label public suffixes and falls back to the last two labels.
+ */
+
+const MULTI_LABEL_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'ltd.uk', 'plc.uk', 'net.uk',
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au',
+  'co.nz', 'org.nz', 'net.nz',
+  'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'go.jp',
+  'co.kr', 'or.kr', 'ne.kr',
+  'co.in', 'net.in', 'org.in', 'firm.in', 'gen.in',
+  'co.za', 'org.za', 'web.za',
+  'co.il', 'org.il',
+  'co.id', 'or.id', 'web.id',
+  'co.th', 'in.th',
+  'com.br', 'net.br', 'org.br', 'gov.br',
+  'com.ar', 'com.mx', 'com.co', 'com.pe', 'com.ve', 'com.uy', 'com.ec',
+  'com.cn', 'net.cn', 'org.cn', 'gov.cn',
+  'com.hk', 'com.tw', 'com.sg', 'com.my', 'com.ph', 'com.vn', 'com.pk',
+  'com.tr', 'com.ua', 'com.ru', 'com.pl', 'com.gr', 'com.cy', 'com.mt',
+  'com.eg', 'com.sa', 'com.ng', 'com.kw', 'com.qa', 'com.bh', 'com.lb',
+  'co.at', 'or.at', 'co.hu', 'co.ke', 'co.ug', 'co.tz',
+  'github.io', 'herokuapp.com', 'cloudfront.net', 'azurewebsites.net',
+  'appspot.com', 'blogspot.com', 'netlify.app', 'vercel.app', 'pages.dev'
+]);
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return '';
+  }
+}
+
+function isIpAddress(hostname) {
+  return /^\d{1,3}(?:\.\d{1,3}){3}$/.test(hostname) || hostname.includes(':');
+}
+
+function registrableDomain(hostname) {
+  const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  if (!host || isIpAddress(host)) return host;
+
+  const labels = host.split('.');
+  if (labels.length <= 2) return host;
+
+  const lastTwo = labels.slice(-2).join('.');
+  return MULTI_LABEL_SUFFIXES.has(lastTwo) ? labels.slice(-3).join('.') : lastTwo;
+}
+
+// Filename extensions that look like top-level domains in path patterns
+const FILE_EXTENSIONS = new Set([
+  'js', 'mjs', 'css', 'json', 'xml', 'html', 'htm', 'php', 'asp', 'aspx', 'jsp',
+  'cgi', 'gif', 'png', 'jpg', 'jpeg', 'svg', 'webp', 'ico', 'swf', 'woff', 'woff2', 'map', 'txt'
+]);
+
+// A scheme and/or `//`, optionally after `^`: what follows is the start of the host
+const HOST_START = /^\^?(?:(?:\(\?:)?https?\??:?\)?\??)?(?:\/\/|\\\/\\\/)$|^\^$/;
+
+/**
+ * Returns the hostname spelled out literally in a URL regex, e.g.
+ * `google-analytics.com` for `(?:www\.)?google-analytics\.com/analytics\.js`,
+ * or null when the pattern has no literal host (path-only patterns, hosts in
+ * query strings, alternations).
+ */
+function hostnameFromPattern(regex) {
+  const host = hostFromPattern(regex);
+  return host ? host.hostname : null;
+}
+
+/**
+ * Like hostnameFromPattern, as { hostname, anchored }. `anchored` is true when
+ * the pattern pins the start of the host (`^`, a scheme or `//`), so the
+ * hostname is the whole host; otherwise it may be the suffix of a longer one
+ * (`msecnd\.net/api` also matches az416426.vo.msecnd.net).
+ */
+function hostFromPattern(regex) {
+  const source = String(regex || '');
+  if (source.includes('|')) return null;
+
+  const match = /(^|\^|\/\/|\\\/\\\/|\\\.|\)\??)((?:[a-z0-9-]+\\\.)+[a-z][a-z0-9-]+)(?=$|\/|\\\/|:|\\\?|\$|\)|\.[*+])/i.exec(source);
+  if (!match) return null;
+
+  // Anything before the host other than a scheme or subdomain puts it in a path or query string
+  const before = source.slice(0, match.index + match[1].length).replace(/https\??:|\\?\/\\?\//g, '');
+  if (/\/|\\\?|=|&/.test(before)) return null;
+
+  // A single-character wildcard glued to the host (`cp.\.example\.com`) also matches path fragments
+  if (/(^|[^\\])\.\\\.$/.test(before)) return null;
+
+  // Hostnames are written in lower case; mixed case is a file name (`Suggest\.ff`, `elqCfg\.js`)
+  if (/[A-Z]/.test(match[2])) return null;
+
+  const hostname = match[2].replace(/\\\./g, '.').toLowerCase();
+  if (FILE_EXTENSIONS.has(hostname.split('.').pop())) return null;
+  return { hostname, anchored: HOST_START.test(source.slice(0, match.index + match[1].length)) };
+}
+
+function isThirdParty(requestUrl, siteUrl) {
+  const requestDomain = registrableDomain(hostnameOf(requestUrl));
+  const siteDomain = registrableDomain(hostnameOf(siteUrl));
+  return Boolean(requestDomain && siteDomain && requestDomain !== siteDomain);
+}
+
+module.exports = {
+  hostnameOf,
+  isIpAddress,
+  registrableDomain,
+  FILE_EXTENSIONS,
+  hostnameFromPattern,
+  hostFromPattern,
+  isThirdParty
+};
@@ -0,0 +1,41 @@
+/**
+ * Scraper Errors
+ *
+ * Typed errors thrown by WappalyzerScraper so embedding code can tell a bad
+ * configuration from an unreachable source or unusable upstream data.
+ */
+
+class ScraperError extends Error {
+  constructor(message, details = {}) {
+    const { cause, ...rest } = details;
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = this.constructor.code;
+    Object.assign(this, rest);
+  }
+}
+ScraperError.code = 'E_SCRAPER';
+
+// Invalid config.json values or constructor options
+class ConfigurationError extends ScraperError {}
+ConfigurationError.code = 'E_CONFIG';
+
+// A source file could not be fetched or read (carries `url` and `attempts`)
+class SourceError extends ScraperError {}
+SourceError.code = 'E_SOURCE';
+
+// Upstream data or an input file does not have the expected shape
+class ValidationError extends ScraperError {}
+ValidationError.code = 'E_VALIDATION';
+
+// A built-in or custom dataset generator failed (carries `dataset`)
+class DatasetError extends ScraperError {}
+DatasetError.code = 'E_DATASET';
+
+module.exports = {
+  ScraperError,
+  ConfigurationError,
+  SourceError,
+  ValidationError,
+  DatasetError
+};
@@ -0,0 +1,283 @@
+/**
+ * Dataset Explorer
+ *
+ * Answers questions about a generated output directory without grepping the
+ * JSON: search the privacy technologies, show one technology with all its
+ * patterns and explain how its risk level was scored. Results are plain
+ * objects (the CLI's --json output); the format* functions render them as
+ * text tables.
+ */
+
+// Pattern datasets shown with a technology, keyed by field
+const PATTERN_FILES = {
+  cookies: 'cookie-patterns.json',
+  javascript: 'javascript-patterns.json',
+  network: 'network-patterns.json',
+  headers: 'header-patterns.json',
+  meta: 'meta-patterns.json',
+  html: 'html-patterns.json',
+  additional: 'additional-patterns.json'
+};
+
+// Values of privacy-technologies.json `detectionMethods`
+const DETECTION_METHODS = [
+  'cookies', 'javascript', 'network', 'dom', 'html', 'headers', 'meta',
+  'css', 'url', 'dns', 'certIssuer', 'robots', 'text', 'scripts'
+];
+
+/**
+ * Lower-cased filter values, split on commas, or null when none are given.
+ */
+function filterValues(values) {
+  const list = [].concat(values ?? []).flatMap(value => String(value).split(','))
+      .map(value => value.trim().toLowerCase())
+      .filter(Boolean);
+  return list.length > 0 ? list : null;
+}
+
+/**
+ * Privacy technologies matching every given filter: `name` (part of the
+ * name), `risk`, `category` (ID or name), `method` (detection method) and
+ * `saas` (boolean). List filters take an array or comma-separated values, any
+ * of which may match.
+ */
+function filterTechnologies(technologies, { name = null, risk, category, method, saas = null } = {}) {
+  const text = name ? String(name).toLowerCase() : null;
+  const risks = filterValues(risk);
+  const categories = filterValues(category);
+  const methods = filterValues(method);
+
+  return technologies.filter(tech =>
+    (!text || tech.name.toLowerCase().includes(text)) &&
+    (!risks || risks.includes(tech.riskLevel)) &&
+    (!categories || tech.categories.some((id, i) =>
+      categories.includes(String(id)) || categories.includes(String(tech.categoryNames[i]).toLowerCase()))) &&
+    (!methods || tech.detectionMethods.some(value => methods.includes(value.toLowerCase()))) &&
+    (saas === null || tech.saas === saas)
+  );
+}
+
+/**
+ * Patterns of every dataset grouped by technology, then by PATTERN_FILES field.
+ */
+function groupPatterns(datasets) {
+  const patterns = new Map();
+  Object.keys(PATTERN_FILES).forEach(field => {
+    (datasets[field] || []).forEach(entry => {
+      if (!patterns.has(entry.technology)) patterns.set(entry.technology, {});
+      const byField = patterns.get(entry.technology);
+      (byField[field] = byField[field] || []).push(entry);
+    });
+  });
+  return patterns;
+}
+
+class DatasetExplorer {
+  /**
+   * @param {object} data  technologies (privacy-technologies.json), database
+   *   (complete-database.json), patterns (pattern datasets keyed by
+   *   PATTERN_FILES field) and scoringModel (used by explain)
+   */
+  constructor({ technologies, database, patterns = {}, scoringModel }) {
+    this.technologies = technologies;
+    this.database = database;
+    this.patterns = groupPatterns(patterns);
+    this.scoringModel = scoringModel;
+    this.privacyByName = new Map(technologies.map(tech => [tech.name.toLowerCase(), tech]));
+    this.namesByKey = new Map(Object.keys(database.technologies).map(name => [name.toLowerCase(), name]));
+  }
+
+  search(filters = {}) {
+    return filterTechnologies(this.technologies, filters);
+  }
+
+  // Case-insensitive; technologies outside the privacy categories come from the complete database
+  find(name) {
+    const key = String(name).toLowerCase();
+    const canonical = this.namesByKey.get(key) || this.privacyByName.get(key)?.name;
+    if (!canonical) return null;
+    return { name: canonical, tech: this.database.technologies[canonical] || {}, privacy: this.privacyByName.get(key) || null };
+  }
+
+  /**
+   * One technology with every field of its privacy-technologies.json entry
+   * (or the basic fields of a non-privacy technology) and its patterns.
+   */
+  show(name) {
+    const found = this.find(name);
+    if (!found) return null;
+    const { tech, privacy } = found;
+
+    const fields = privacy || {
+      name: found.name,
+      description: String(tech.description || ''),
+      categories: (tech.cats || []).filter(cat => typeof cat === 'number'),
+      categoryNames: this.categoryNames(tech.cats || []),
+      riskLevel: 'none',
+      website: String(tech.website || ''),
+      saas: Boolean(tech.saas)
+    };
+    return { ...fields, privacyRelated: Boolean(privacy), patterns: this.patterns.get(found.name) || {} };
+  }
+
+  /**
+   * How the scoring model rated a technology: each category with its weight
+   * and the points it added, the vector bonuses, override and allow-list, and
+   * the threshold that gave the risk level. The stored risk level is included
+   * so a config changed since the datasets were generated shows up.
+   */
+  explain(name) {
+    const found = this.find(name);
+    if (!found) return null;
+    const { tech, privacy } = found;
+
+    const scored = this.scoringModel.score(found.name, tech);
+    const { breakdown } = scored;
+    const factor = this.scoringModel.additionalCategoryFactor;
+    const weighted = new Set(breakdown.categories.map(category => category.id));
+    const names = this.categoryNames(tech.cats || []);
+    const nameOf = id => names[(tech.cats || []).indexOf(id)];
+
+    const categories = [
+      ...breakdown.categories.map(({ id, weight }, i) => ({
+        id,
+        name: nameOf(id),
+        weight,
+        role: i === 0 ? 'base' : 'additional',
+        points: i === 0 ? weight : (typeof factor === 'number' ? weight * factor : null)
+      })),
+      ...(tech.cats || []).filter(id => typeof id === 'number' && !weighted.has(id))
+          .map(id => ({ id, name: nameOf(id), weight: null, role: 'unweighted', points: 0 }))
+    ];
+
+    return {
+      name: found.name,
+      privacyRelated: Boolean(privacy),
+      score: scored.score,
+      threatLevel: scored.threatLevel,
+      riskLevel: scored.riskLevel,
+      reason: this.describeRiskLevel(scored),
+      categories,
+      base: breakdown.base,
+      bonuses: breakdown.bonuses,
+      override: breakdown.override,
+      allowListed: breakdown.allowListed,
+      thresholds: this.scoringModel.riskThresholds || null,
+      generatedRiskLevel: privacy ? privacy.riskLevel : null,
+      effectiveRiskLevel: privacy ? privacy.effectiveRiskLevel : null,
+      riskInheritedFrom: privacy ? privacy.riskInheritedFrom : null
+    };
+  }
+
+  describeRiskLevel({ score, riskLevel, breakdown }) {
+    const thresholds = this.scoringModel.riskThresholds;
+    if (breakdown.allowListed) return 'allow-listed, so scored 0';
+    if (breakdown.override && breakdown.override.riskLevel === riskLevel) return `override sets the risk level to ${riskLevel}`;
+    if (!thresholds) return `score ${score} rated ${riskLevel} by the scoring model`;
+    if (riskLevel === 'none') return `score ${score} is below the low threshold (${thresholds.low})`;
+    return `score ${score} reaches the ${riskLevel} threshold (${thresholds[riskLevel]})`;
+  }
+
+  categoryNames(cats) {
+    return cats.map(cat => this.database.categories[cat]?.name || `Unknown(${cat})`);
+  }
+}
+
+/**
+ * Renders rows as a text table with a header and left-aligned columns;
+ * `columns` is [[header, row => value]].
+ */
+function formatTable(columns, rows) {
+  const cells = [
+    columns.map(([header]) => header),
+    ...rows.map(row => columns.map(([, value]) => String(value(row) ?? '')))
+  ];
+  const widths = columns.map((column, i) => Math.max(...cells.map(line => line[i].length)));
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [line(cells[0]), line(widths.map(width => '-'.repeat(width))), ...cells.slice(1).map(line)].join('\n');
+}
+
+function formatSearch(technologies) {
+  if (technologies.length === 0) return 'No matching technologies';
+  return `${formatTable([
+    ['Technology', tech => tech.name],
+    ['Risk', tech => tech.riskLevel],
+    ['Score', tech => tech.score],
+    ['Categories', tech => tech.categoryNames.join(', ')],
+    ['Detection', tech => tech.detectionMethods.join(', ')]
+  ], technologies)}\n\n${technologies.length} technologies`;
+}
+
+function formatShow(technology) {
+  const { patterns, scoreBreakdown, ...fields } = technology;
+  const value = field => (Array.isArray(field) ? field.join(', ') || '-'
+    : field && typeof field === 'object' ? JSON.stringify(field) : String(field ?? '-'));
+
+  const sections = [formatTable([['Field', ([key]) => key], ['Value', ([, field]) => value(field)]], Object.entries(fields))];
+  Object.entries(patterns).forEach(([field, entries]) => {
+    sections.push(`${field} (${entries.length})\n${formatTable([
+      ['Type', entry => entry.type || field],
+      ['Pattern', entry => entry.pattern],
+      ['Value', entry => entry.valuePattern?.regex || ''],
+      ['Version', entry => entry.version],
+      ['Confidence', entry => entry.confidence]
+    ], entries)}`);
+  });
+  if (Object.keys(patterns).length === 0) sections.push('No patterns');
+  return sections.join('\n\n');
+}
+
+function formatExplanation(explanation) {
+  const lines = [`${explanation.name}: risk level ${explanation.riskLevel}, ${explanation.reason}`];
+  if (!explanation.privacyRelated) lines.push('Not in privacy-technologies.json');
+
+  lines.push('', formatTable([
+    ['Category', category => `${category.name} (${category.id})`],
+    ['Weight', category => category.weight ?? '-'],
+    ['Role', category => category.role],
+    ['Points', category => category.points ?? '?']
+  ], explanation.categories));
+
+  lines.push('', `Base: ${explanation.base}`);
+  explanation.bonuses.forEach(bonus => lines.push(`Bonus: +${bonus.points} ${bonus.vector}`));
+  if (explanation.override) lines.push(`Override: ${JSON.stringify(explanation.override)}`);
+  if (explanation.allowListed) lines.push('Allow-listed');
+  lines.push(`Score: ${explanation.score}`);
+  if (explanation.thresholds) {
+    const { high, medium, low } = explanation.thresholds;
+    lines.push(`Thresholds: high >= ${high}, medium >= ${medium}, low >= ${low}`);
+  }
+
+  if (explanation.generatedRiskLevel && explanation.generatedRiskLevel !== explanation.riskLevel) {
+    lines.push(`⚠️  The datasets were generated with risk level ${explanation.generatedRiskLevel}; the scoring config has changed since`);
+  }
+  if (explanation.riskInheritedFrom) {
+    lines.push(`Effective risk: ${explanation.effectiveRiskLevel}, inherited from ${explanation.riskInheritedFrom}`);
+  }
+  return lines.join('\n');
+}
+
+function formatMatches(results) {
+  const rows = results.flatMap(result => result.matches.map(match => ({ ...result, match })));
+  if (rows.length === 0) return 'No matching technologies';
+  return formatTable([
+    ['Technology', row => row.technology],
+    ['Risk', row => row.riskLevel],
+    ['Type', row => row.match.type],
+    ['Value', row => row.match.value],
+    ['Pattern', row => row.match.pattern]
+  ], rows);
+}
+
+module.exports = {
+  PATTERN_FILES,
+  DETECTION_METHODS,
+  DatasetExplorer,
+  filterTechnologies,
+  formatTable,
+  formatSearch,
+  formatShow,
+  formatExplanation,
+  formatMatches
+};
@@ -0,0 +1,240 @@
+/**
+ * HAR Privacy Audit
+ *
+ * Replays the requests, response headers and cookies recorded in a HAR file
+ * against the detection engine and builds a per-site tracker report.
+ */
+
+const Detector = require('./detector');
+const { hostnameOf, registrableDomain, isThirdParty } = require('./domains');
+const { ValidationError } = require('./errors');
+
+function headerList(headers) {
+  return Array.isArray(headers) ? headers.filter(header => header && header.name) : [];
+}
+
+function requestType(entry) {
+  const resourceType = String(entry._resourceType || '').toLowerCase();
+  const mimeType = String(entry.response?.content?.mimeType || '').toLowerCase();
+
+  if (resourceType === 'document' || (!resourceType && mimeType.includes('html'))) return 'document';
+  if (resourceType === 'script' || (!resourceType && mimeType.includes('javascript'))) return 'script';
+  return 'request';
+}
+
+function responseText(entry) {
+  const content = entry.response?.content;
+  if (!content || typeof content.text !== 'string') return '';
+  return content.encoding === 'base64' ? Buffer.from(content.text, 'base64').toString('utf8') : content.text;
+}
+
+/**
+ * Groups HAR entries into sites. Entries are grouped by `pageref` when the HAR
+ * has pages, otherwise everything belongs to the first document's site.
+ */
+function readHarSites(har) {
+  const log = har?.log;
+  if (!log || !Array.isArray(log.entries)) {
+    throw new ValidationError('Invalid HAR file: missing log.entries');
+  }
+
+  const groups = new Map();
+  log.entries.forEach(entry => {
+    if (!entry?.request?.url) return;
+    const key = entry.pageref || '';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+
+  const pageTitles = new Map((log.pages || []).map(page => [page.id, page.title]));
+  const sites = new Map();
+
+  groups.forEach((entries, pageref) => {
+    const documentEntry = entries.find(entry => requestType(entry) === 'document');
+    const title = pageTitles.get(pageref);
+    const pageUrl = documentEntry?.request.url ||
+      (/^https?:\/\//i.test(title || '') ? title : entries[0].request.url);
+    const site = registrableDomain(hostnameOf(pageUrl)) || 'unknown';
+
+    if (!sites.has(site)) sites.set(site, { site, pageUrls: [], entries: [] });
+    sites.get(site).pageUrls.push(pageUrl);
+    sites.get(site).entries.push(...entries);
+  });
+
+  return Array.from(sites.values());
+}
+
+function entryToPageData(entry) {
+  const url = entry.request.url;
+  const type = requestType(entry);
+  const headers = {};
+  const cookies = [];
+  const cookieSources = new Map();
+
+  headerList(entry.response?.headers).forEach(({ name, value }) => {
+    const key = name.toLowerCase();
+    if (!headers[key]) headers[key] = [];
+    headers[key].push(String(value));
+
+    if (key === 'set-cookie') {
+      Detector.parseSetCookie(value).forEach(cookie => {
+        cookies.push(cookie);
+        cookieSources.set(cookie.name, 'set-cookie');
+      });
+    }
+  });
+
+  (entry.response?.cookies || []).forEach(cookie => {
+    if (!cookie?.name || cookieSources.has(cookie.name)) return;
+    cookies.push({ name: cookie.name, value: String(cookie.value ?? '') });
+    cookieSources.set(cookie.name, 'set-cookie');
+  });
+
+  (entry.request?.cookies || []).forEach(cookie => {
+    if (!cookie?.name || cookieSources.has(cookie.name)) return;
+    cookies.push({ name: cookie.name, value: String(cookie.value ?? '') });
+    cookieSources.set(cookie.name, 'request-cookie');
+  });
+
+  return {
+    pageData: {
+      url: type === 'document' ? url : undefined,
+      html: type === 'document' ? responseText(entry) : undefined,
+      scriptSrc: type === 'script' ? [url] : [],
+      xhr: type === 'request' ? [url] : [],
+      headers,
+      cookies
+    },
+    cookieSources
+  };
+}
+
+function auditSite(detector, { site, pageUrls, entries }) {
+  const pageUrl = pageUrls[0];
+  const trackers = new Map();
+  const observedCookies = new Set();
+  let thirdPartyRequests = 0;
+
+  entries.forEach(entry => {
+    const requestUrl = entry.request.url;
+    const party = isThirdParty(requestUrl, pageUrl) ? 'third' : 'first';
+    if (party === 'third') thirdPartyRequests++;
+
+    const { pageData, cookieSources } = entryToPageData(entry);
+    pageData.cookies.forEach(cookie => observedCookies.add(cookie.name));
+
+    detector.detect(pageData).forEach(detection => {
+      if (!trackers.has(detection.name)) {
+        trackers.set(detection.name, {
+          name: detection.name,
+          categories: detection.categoryNames,
+          threatLevel: detection.threatLevel,
+          riskLevel: detection.riskLevel,
+          confidence: 0,
+          version: '',
+          firstParty: false,
+          thirdParty: false,
+          triggers: [],
+          seen: new Set()
+        });
+      }
+
+      const tracker = trackers.get(detection.name);
+      tracker.confidence = Math.max(tracker.confidence, detection.confidence);
+      tracker.version = tracker.version || detection.version;
+      tracker[party === 'third' ? 'thirdParty' : 'firstParty'] = true;
+
+      detection.matches.forEach(match => {
+        const key = [match.type, match.key, match.pattern, requestUrl].join('\u0000');
+        if (tracker.seen.has(key)) return;
+        tracker.seen.add(key);
+
+        const trigger = {
+          type: match.type,
+          pattern: match.key !== null ? `${match.key}${match.pattern ? `: ${match.pattern}` : ''}` : match.pattern,
+          request: requestUrl,
+          party
+        };
+
+        if (match.type === 'cookies') {
+          const cookieName = match.value.slice(0, match.value.indexOf('='));
+          trigger.cookie = cookieName;
+          trigger.cookieSource = cookieSources.get(cookieName) || 'set-cookie';
+        } else if (match.type === 'headers') {
+          trigger.header = match.value;
+        }
+
+        tracker.triggers.push(trigger);
+      });
+    });
+  });
+
+  const trackerList = Array.from(trackers.values())
+      .map(({ seen, ...tracker }) => tracker)
+      .sort((a, b) => b.threatLevel - a.threatLevel || a.name.localeCompare(b.name));
+
+  return {
+    site,
+    pageUrls,
+    generatedAt: new Date().toISOString(),
+    summary: {
+      requests: entries.length,
+      firstPartyRequests: entries.length - thirdPartyRequests,
+      thirdPartyRequests,
+      cookiesObserved: observedCookies.size,
+      trackers: trackerList.length,
+      firstPartyTrackers: trackerList.filter(tracker => tracker.firstParty).length,
+      thirdPartyTrackers: trackerList.filter(tracker => tracker.thirdParty).length
+    },
+    riskDistribution: {
+      high: trackerList.filter(tracker => tracker.riskLevel === 'high').length,
+      medium: trackerList.filter(tracker => tracker.riskLevel === 'medium').length,
+      low: trackerList.filter(tracker => tracker.riskLevel === 'low').length
+    },
+    trackers: trackerList
+  };
+}
+
+function renderAuditReport(report) {
+  const triggerIcons = { cookies: '🍪', scriptSrc: '🔧', xhr: '🌐', headers: '📨', html: '📄', url: '🔗', meta: '🏷️', js: '🔧' };
+  const partyLabel = tracker => [tracker.firstParty && 'first-party', tracker.thirdParty && 'third-party']
+      .filter(Boolean)
+      .join(' + ');
+
+  const trackerSection = (tracker, i) => `### ${i + 1}. ${tracker.name} (${(tracker.riskLevel || 'none').toUpperCase()}) - ${partyLabel(tracker)}
+- **Categories**: ${tracker.categories.join(', ') || 'None'}
+- **Confidence**: ${tracker.confidence}%${tracker.version ? `\n- **Version**: ${tracker.version}` : ''}
+- **Triggered by**:
+${tracker.triggers.map(trigger => {
+    const subject = trigger.cookie ? `cookie \`${trigger.cookie}\` (${trigger.cookieSource})` : `${trigger.type} \`${trigger.pattern}\``;
+    return `  - ${triggerIcons[trigger.type] || '•'} ${subject} ← ${trigger.request} (${trigger.party}-party)`;
+  }).join('\n')}`;
+
+  return `# Privacy Audit: ${report.site}
+
+Generated on: ${new Date(report.generatedAt).toLocaleDateString()}
+Pages: ${report.pageUrls.join(', ')}
+
+## Summary
+- **Requests**: ${report.summary.requests} (${report.summary.firstPartyRequests} first-party, ${report.summary.thirdPartyRequests} third-party)
+- **Cookies Observed**: ${report.summary.cookiesObserved}
+- **Trackers Found**: ${report.summary.trackers} (${report.summary.firstPartyTrackers} first-party, ${report.summary.thirdPartyTrackers} third-party)
+
+## Risk Distribution
+- 🔴 **High Risk**: ${report.riskDistribution.high} trackers
+- 🟡 **Medium Risk**: ${report.riskDistribution.medium} trackers
+- 🟢 **Low Risk**: ${report.riskDistribution.low} trackers
+
+## Trackers
+${report.trackers.length > 0 ? report.trackers.map(trackerSection).join('\n\n') : '_No privacy technologies detected_'}
+
+---
+*Audit generated by Wappalyzer Privacy Technology Scraper*
+`;
+}
+
+module.exports = {
+  readHarSites,
+  auditSite,
+  renderAuditReport
+};
@@ -0,0 +1,395 @@
+/**
+ * HTML Report
+ *
+ * Renders report.html: a single self-contained page (inline CSS, JavaScript,
+ * data and SVG charts, no external assets) with risk and category charts, a
+ * sortable and filterable technology table and a detail page per technology
+ * with its cookie, JavaScript and network patterns.
+ */
+
+const RISK_COLORS = { high: '#d64545', medium: '#e0a526', low: '#3f9d5a', inherited: '#7a6fd1' };
+const BAR_COLOR = '#4a78c2';
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+// JSON inside <script> must not be able to close the element
+function embedJson(data) {
+  return JSON.stringify(data)
+      .replace(/</g, '\\u003c')
+      .replace(/\u2028/g, '\\u2028')
+      .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Horizontal bar chart as inline SVG; entries are [label, value, color?].
+ */
+function barChart(title, entries) {
+  const rowHeight = 24;
+  const labelWidth = 220;
+  const barWidth = 320;
+  const max = Math.max(1, ...entries.map(([, value]) => value));
+  const height = entries.length * rowHeight + 8;
+
+  const rows = entries.map(([label, value, color], i) => {
+    const y = i * rowHeight + 4;
+    const width = Math.round((value / max) * barWidth);
+    return `<text x="${labelWidth - 8}" y="${y + 15}" text-anchor="end">${escapeHtml(label)}</text>` +
+      `<rect x="${labelWidth}" y="${y + 3}" width="${width}" height="${rowHeight - 8}" rx="3" fill="${color || BAR_COLOR}"></rect>` +
+      `<text x="${labelWidth + width + 6}" y="${y + 15}">${value}</text>`;
+  });
+
+  return `<figure class="chart"><figcaption>${escapeHtml(title)}</figcaption>` +
+    `<svg viewBox="0 0 ${labelWidth + barWidth + 60} ${height}" role="img" aria-label="${escapeHtml(title)}">${rows.join('')}</svg></figure>`;
+}
+
+function reportData(report, privacyTechnologies, patterns, consent) {
+  const consentByName = new Map((consent?.technologies || []).map(entry => [entry.name, entry]));
+  const privacyNames = new Set(privacyTechnologies.map(tech => tech.name));
+  const byTechnology = {};
+  const add = (field, entry, row) => {
+    if (!privacyNames.has(entry.technology)) return;
+    const lists = byTechnology[entry.technology] = byTechnology[entry.technology] || { cookies: [], javascript: [], network: [] };
+    lists[field].push(row);
+  };
+
+  (patterns.cookies || []).forEach(entry =>
+    add('cookies', entry, [entry.pattern, entry.valuePattern?.regex || '', entry.version, entry.confidence]));
+  (patterns.javascript || []).forEach(entry =>
+    add('javascript', entry, [entry.pattern, entry.valuePattern?.regex || '', entry.version, entry.confidence]));
+  (patterns.network || []).forEach(entry =>
+    add('network', entry, [entry.type, entry.regex || entry.pattern, entry.version, entry.confidence]));
+
+  return {
+    technologies: privacyTechnologies.map(tech => {
+      const classification = consentByName.get(tech.name);
+      return {
+        name: tech.name,
+        description: tech.description,
+        website: tech.website,
+        riskLevel: tech.riskLevel,
+        threatLevel: tech.threatLevel,
+        score: tech.score,
+        effectiveRiskLevel: tech.effectiveRiskLevel,
+        riskInheritedFrom: tech.riskInheritedFrom,
+        categories: tech.categoryNames,
+        methods: tech.detectionMethods,
+        saas: tech.saas,
+        origin: tech.origin,
+        implies: tech.implies,
+        impliedBy: tech.impliedBy,
+        consent: classification ? {
+          purposes: classification.purposes,
+          requiresConsent: classification.requiresConsent,
+          ccpaSaleOrShare: classification.ccpaSaleOrShare
+        } : null
+      };
+    }),
+    patterns: byTechnology
+  };
+}
+
+/**
+ * Renders report.html from the summary report, the privacy technologies and
+ * the cookie, JavaScript and network pattern datasets. `source` names the
+ * upstream revision the data was built from.
+ */
+function renderHtmlReport({ report, privacyTechnologies, patterns = {}, consent = null, generatedAt = new Date(), source = null }) {
+  const { summary, riskDistribution, categoryBreakdown, detectionMethodStats } = report;
+  const methodEntries = Object.entries(detectionMethodStats)
+      .flatMap(([method, value]) => (typeof value === 'number' ? [[method, value]] : Object.entries(value)))
+      .sort(([, a], [, b]) => b - a);
+
+  const charts = [
+    barChart('Risk distribution', ['high', 'medium', 'low', 'inherited'].map(level =>
+      [level === 'inherited' ? 'inherited (raised)' : level, riskDistribution[level], RISK_COLORS[level]])),
+    barChart('Technologies per category', Object.entries(categoryBreakdown).sort(([, a], [, b]) => b - a)),
+    barChart('Detection methods', methodEntries)
+  ];
+
+  const cards = [
+    ['Technologies', summary.totalTechnologies],
+    ['Privacy-related', `${summary.privacyRelatedTechnologies} (${summary.privacyPercentage}%)`],
+    ['High risk', riskDistribution.high],
+    ['Medium risk', riskDistribution.medium],
+    ['Low risk', riskDistribution.low]
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Wappalyzer Privacy Technology Report</title>
+<style>
+${STYLES}
+</style>
+</head>
+<body>
+<header>
+  <h1><a href="#">Wappalyzer Privacy Technology Report</a></h1>
+  <p>Generated ${escapeHtml(generatedAt.toISOString())}${source ? ` from ${escapeHtml(source)}` : ''}</p>
+</header>
+<main>
+<section id="overview">
+  <div class="cards">
+    ${cards.map(([label, value]) => `<div class="card"><span>${escapeHtml(label)}</span><strong>${escapeHtml(value)}</strong></div>`).join('\n    ')}
+  </div>
+  <div class="charts">
+    ${charts.join('\n    ')}
+  </div>
+  <h2>Privacy technologies</h2>
+  <div class="filters">
+    <input id="search" type="search" placeholder="Filter by name or description">
+    <select id="risk"><option value="">All risk levels</option></select>
+    <select id="category"><option value="">All categories</option></select>
+    <select id="method"><option value="">All detection methods</option></select>
+    <span id="count"></span>
+  </div>
+  <table id="technologies">
+    <thead><tr>
+      <th data-key="name">Technology</th>
+      <th data-key="threatLevel">Risk</th>
+      <th data-key="score">Score</th>
+      <th data-key="categories">Categories</th>
+      <th data-key="methods">Detection</th>
+      <th data-key="saas">SaaS</th>
+      <th data-key="origin">Origin</th>
+    </tr></thead>
+    <tbody></tbody>
+  </table>
+</section>
+<section id="detail" hidden></section>
+</main>
+<script type="application/json" id="report-data">${embedJson(reportData(report, privacyTechnologies, patterns, consent))}</script>
+<script>
+${SCRIPT}
+</script>
+</body>
+</html>
+`;
+}
+
+const STYLES = `
+body { font: 14px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; margin: 0; color: #1d2330; background: #f5f6f8; }
+header { background: #1d2330; color: #fff; padding: 16px 24px; }
+header h1 { margin: 0; font-size: 20px; }
+header a { color: inherit; text-decoration: none; }
+header p { margin: 4px 0 0; opacity: .7; }
+main { padding: 16px 24px; max-width: 1280px; margin: 0 auto; }
+.cards { display: flex; flex-wrap: wrap; gap: 12px; }
+.card { background: #fff; border-radius: 6px; padding: 12px 16px; min-width: 140px; box-shadow: 0 1px 2px rgba(0,0,0,.08); }
+.card span { display: block; color: #5b6474; font-size: 12px; }
+.card strong { font-size: 22px; }
+.charts { display: flex; flex-wrap: wrap; gap: 12px; margin-top: 12px; }
+.chart { background: #fff; border-radius: 6px; margin: 0; padding: 12px; flex: 1 1 380px; box-shadow: 0 1px 2px rgba(0,0,0,.08); }
+.chart figcaption { font-weight: 600; margin-bottom: 8px; }
+.chart svg { width: 100%; height: auto; font-size: 12px; fill: #1d2330; }
+.filters { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; margin-bottom: 8px; }
+.filters input, .filters select { padding: 6px 8px; border: 1px solid #c9ced8; border-radius: 4px; font: inherit; }
+.filters input { flex: 1 1 240px; }
+#count { color: #5b6474; }
+table { width: 100%; border-collapse: collapse; background: #fff; box-shadow: 0 1px 2px rgba(0,0,0,.08); }
+th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #e6e8ec; vertical-align: top; }
+th { background: #eef0f4; position: sticky; top: 0; }
+th[data-key] { cursor: pointer; user-select: none; }
+th[data-sort="asc"]::after { content: " \\25B2"; }
+th[data-sort="desc"]::after { content: " \\25BC"; }
+td code, dd code { font-size: 12px; word-break: break-all; }
+.risk { display: inline-block; padding: 0 8px; border-radius: 10px; color: #fff; font-size: 12px; }
+.risk-high { background: ${RISK_COLORS.high}; }
+.risk-medium { background: ${RISK_COLORS.medium}; }
+.risk-low { background: ${RISK_COLORS.low}; }
+.risk-none { background: #8a93a3; }
+#detail h2 { margin-bottom: 4px; }
+#detail dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; background: #fff; padding: 12px 16px; border-radius: 6px; }
+#detail dt { color: #5b6474; }
+#detail dd { margin: 0; }
+#detail h3 { margin-top: 24px; }
+`;
+
+// Runs in the browser; builds every row with textContent so data is never parsed as HTML
+const SCRIPT = `
+(function () {
+  var data = JSON.parse(document.getElementById('report-data').textContent);
+  var technologies = data.technologies;
+  var state = { key: 'threatLevel', dir: 'desc' };
+
+  function el(tag, props, children) {
+    var node = document.createElement(tag);
+    Object.keys(props || {}).forEach(function (key) { node[key] = props[key]; });
+    (children || []).forEach(function (child) {
+      node.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+    });
+    return node;
+  }
+
+  function riskBadge(level) {
+    return el('span', { className: 'risk risk-' + level, textContent: level });
+  }
+
+  function techLink(name) {
+    return el('a', { href: '#tech/' + encodeURIComponent(name), textContent: name });
+  }
+
+  function fillSelect(id, values) {
+    var select = document.getElementById(id);
+    values.forEach(function (value) { select.appendChild(el('option', { value: value, textContent: value })); });
+  }
+
+  function unique(lists) {
+    var set = {};
+    lists.forEach(function (list) { list.forEach(function (value) { set[value] = true; }); });
+    return Object.keys(set).sort();
+  }
+
+  fillSelect('risk', ['high', 'medium', 'low']);
+  fillSelect('category', unique(technologies.map(function (t) { return t.categories; })));
+  fillSelect('method', unique(technologies.map(function (t) { return t.methods; })));
+
+  function sortValue(tech, key) {
+    var value = tech[key];
+    if (Array.isArray(value)) return value.join(', ').toLowerCase();
+    if (typeof value === 'string') return value.toLowerCase();
+    return value === true ? 1 : value === false ? 0 : value;
+  }
+
+  function renderTable() {
+    var search = document.getElementById('search').value.toLowerCase();
+    var risk = document.getElementById('risk').value;
+    var category = document.getElementById('category').value;
+    var method = document.getElementById('method').value;
+
+    var rows = technologies.filter(function (t) {
+      return (!search || (t.name + ' ' + t.description).toLowerCase().indexOf(search) !== -1) &&
+        (!risk || t.riskLevel === risk) &&
+        (!category || t.categories.indexOf(category) !== -1) &&
+        (!method || t.methods.indexOf(method) !== -1);
+    });
+
+    rows.sort(function (a, b) {
+      var x = sortValue(a, state.key);
+      var y = sortValue(b, state.key);
+      var result = x < y ? -1 : x > y ? 1 : a.name.localeCompare(b.name);
+      return state.dir === 'asc' ? result : -result;
+    });
+
+    var tbody = document.querySelector('#technologies tbody');
+    tbody.textContent = '';
+    rows.forEach(function (t) {
+      tbody.appendChild(el('tr', {}, [
+        el('td', {}, [techLink(t.name)]),
+        el('td', {}, [riskBadge(t.riskLevel)]),
+        el('td', { textContent: String(t.score) }),
+        el('td', { textContent: t.categories.join(', ') }),
+        el('td', { textContent: t.methods.join(', ') }),
+        el('td', { textContent: t.saas ? 'yes' : '' }),
+        el('td', { textContent: t.origin })
+      ]));
+    });
+
+    document.getElementById('count').textContent = rows.length + ' of ' + technologies.length;
+    document.querySelectorAll('th[data-key]').forEach(function (th) {
+      if (th.dataset.key === state.key) th.dataset.sort = state.dir;
+      else delete th.dataset.sort;
+    });
+  }
+
+  function patternTable(title, headings, rows) {
+    if (!rows || rows.length === 0) return [];
+    return [
+      el('h3', { textContent: title + ' (' + rows.length + ')' }),
+      el('table', {}, [
+        el('thead', {}, [el('tr', {}, headings.map(function (h) { return el('th', { textContent: h }); }))]),
+        el('tbody', {}, rows.map(function (row) {
+          return el('tr', {}, row.map(function (cell) {
+            return el('td', {}, [el('code', { textContent: String(cell) })]);
+          }));
+        }))
+      ])
+    ];
+  }
+
+  function renderDetail(name) {
+    var tech = technologies.filter(function (t) { return t.name === name; })[0];
+    var detail = document.getElementById('detail');
+    detail.textContent = '';
+    if (!tech) {
+      detail.appendChild(el('p', { textContent: 'Unknown technology: ' + name }));
+      return;
+    }
+
+    var fields = [
+      ['Risk', [riskBadge(tech.riskLevel), ' score ' + tech.score]],
+      ['Effective risk', [tech.effectiveRiskLevel + (tech.riskInheritedFrom ? ' (from ' + tech.riskInheritedFrom + ')' : '')]],
+      ['Categories', [tech.categories.join(', ')]],
+      ['Detection', [tech.methods.join(', ')]],
+      ['Website', /^https?:\\/\\//i.test(tech.website) ? [el('a', { href: tech.website, textContent: tech.website, rel: 'noopener noreferrer' })] : [tech.website || '']],
+      ['SaaS', [tech.saas ? 'yes' : 'no']],
+      ['Origin', [tech.origin]]
+    ];
+    if (tech.consent) {
+      fields.push(['Consent purposes', [tech.consent.purposes.join(', ') || 'unclassified']]);
+      fields.push(['Requires consent', [tech.consent.requiresConsent ? 'yes' : 'no']]);
+      fields.push(['CCPA sale/share', [tech.consent.ccpaSaleOrShare ? 'yes' : 'no']]);
+    }
+    var related = function (label, names) {
+      if (names.length === 0) return;
+      var children = [];
+      names.forEach(function (n, i) { if (i > 0) children.push(', '); children.push(techLink(n)); });
+      fields.push([label, children]);
+    };
+    related('Implies', tech.implies);
+    related('Implied by', tech.impliedBy);
+
+    var list = el('dl', {});
+    fields.forEach(function (field) {
+      list.appendChild(el('dt', { textContent: field[0] }));
+      list.appendChild(el('dd', {}, field[1]));
+    });
+
+    var patterns = data.patterns[tech.name] || {};
+    [el('p', {}, [el('a', { href: '#', textContent: '\\u2190 All technologies' })]),
+      el('h2', { textContent: tech.name }),
+      el('p', { textContent: tech.description }),
+      list
+    ].concat(
+      patternTable('Cookies', ['Name', 'Value pattern', 'Version', 'Confidence'], patterns.cookies),
+      patternTable('JavaScript', ['Global', 'Value pattern', 'Version', 'Confidence'], patterns.javascript),
+      patternTable('Network', ['Type', 'Pattern', 'Version', 'Confidence'], patterns.network)
+    ).forEach(function (node) { detail.appendChild(node); });
+  }
+
+  function route() {
+    var match = /^#tech\\/(.+)$/.exec(location.hash);
+    document.getElementById('overview').hidden = Boolean(match);
+    document.getElementById('detail').hidden = !match;
+    if (match) {
+      renderDetail(decodeURIComponent(match[1]));
+      window.scrollTo(0, 0);
+    }
+  }
+
+  document.querySelectorAll('th[data-key]').forEach(function (th) {
+    th.addEventListener('click', function () {
+      state.dir = state.key === th.dataset.key && state.dir === 'asc' ? 'desc' : 'asc';
+      state.key = th.dataset.key;
+      renderTable();
+    });
+  });
+  ['search', 'risk', 'category', 'method'].forEach(function (id) {
+    document.getElementById(id).addEventListener('input', renderTable);
+  });
+  window.addEventListener('hashchange', route);
+
+  renderTable();
+  route();
+})();
+`;
+
+module.exports = {
+  renderHtmlReport
+};
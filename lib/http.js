@@ -0,0 +1,205 @@
+/**
+ * HTTP Client
+ *
+ * Fetches source files with a cap on concurrent requests, a per-request
+ * timeout (AbortController) and retries with exponential backoff. Retried
+ * responses with a Retry-After header (429, 503) wait as long as it asks.
+ * With conditional requests on, responses are cached by URL and fetched
+ * again with If-None-Match/If-Modified-Since, so an unchanged file costs a 304.
+ */
+
+const { SourceError } = require('./errors');
+
+const DEFAULT_FETCH_OPTIONS = {
+  concurrency: 6,
+  backoff: 2000,
+  maxRetryDelay: 60000
+};
+
+// Transient statuses worth another attempt; any other 4xx fails at once
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/**
+ * Milliseconds to wait for a Retry-After header (delay in seconds or an HTTP
+ * date), or null when the header is missing or unreadable.
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\s*\d+\s*$/.test(value)) return Number(value) * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+class HttpClient {
+  /**
+   * @param {object} options  retries, timeout (ms per attempt), concurrency,
+   *   backoff (ms before the first retry, doubled after each attempt),
+   *   maxRetryDelay (longest Retry-After to wait for), userAgent, log and warn
+   */
+  constructor(options = {}) {
+    this.retries = options.retries || 3;
+    this.timeout = options.timeout || 30000;
+    this.concurrency = options.concurrency || DEFAULT_FETCH_OPTIONS.concurrency;
+    this.backoff = options.backoff ?? DEFAULT_FETCH_OPTIONS.backoff;
+    this.maxRetryDelay = options.maxRetryDelay ?? DEFAULT_FETCH_OPTIONS.maxRetryDelay;
+    this.userAgent = options.userAgent;
+    this.log = options.log || (() => {});
+    this.warn = options.warn || (() => {});
+    this.active = 0;
+    this.queue = [];
+    this.cache = null;
+    this.notModified = 0;
+  }
+
+  // Keeps each response's ETag/Last-Modified and body for later requests
+  useConditionalRequests() {
+    this.cache = this.cache || new Map();
+    return this;
+  }
+
+  async fetchText(url, { headers = {}, retries = this.retries } = {}) {
+    const cached = this.cache?.get(url);
+    const validators = {};
+    if (cached?.etag) validators['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) validators['If-Modified-Since'] = cached.lastModified;
+
+    const response = await this.send(url, { headers: { ...validators, ...headers }, retries, conditional: Boolean(cached) });
+    if (response.status === 304) {
+      this.notModified++;
+      return cached.text;
+    }
+    if (this.cache && (response.etag || response.lastModified)) {
+      this.cache.set(url, { etag: response.etag, lastModified: response.lastModified, text: response.text });
+    }
+    return response.text;
+  }
+
+  async postJson(url, payload, { headers = {}, retries = this.retries } = {}) {
+    const response = await this.send(url, {
+      headers: { 'Content-Type': 'application/json', ...headers },
+      retries,
+      method: 'POST',
+      body: JSON.stringify(payload)
+    });
+    return response.text;
+  }
+
+  async send(url, options) {
+    await this.acquire();
+    try {
+      return await this.fetchWithRetries(url, options);
+    } finally {
+      this.release();
+    }
+  }
+
+  acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.queue.push(resolve));
+  }
+
+  release() {
+    const next = this.queue.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  // A 304 only counts as success for a conditional request
+  async fetchWithRetries(url, { headers, retries, conditional = false, method = 'GET', body }) {
+    const verb = method === 'GET' ? 'fetch' : 'send to';
+    // Webhook URLs often embed a token, so only their origin is logged
+    const label = method === 'GET' ? url : new URL(url).origin;
+    this.log(`${method === 'GET' ? 'Fetching' : 'Sending'}: ${label}`);
+
+    for (let attempt = 1; ; attempt++) {
+      const failure = (reason, details = {}) => new SourceError(
+          `Failed to ${verb} ${label} (attempt ${attempt}/${retries}): ${reason}`,
+          { url: label, attempts: attempt, ...details }
+      );
+
+      let response;
+      try {
+        response = await this.request(url, headers, { method, body });
+      } catch (error) {
+        if (attempt >= retries) throw failure(error.message, { cause: error });
+        await this.wait(label, attempt, retries, error.message, this.backoffDelay(attempt), verb);
+        continue;
+      }
+      if (response.ok || (conditional && response.status === 304)) return response;
+
+      const reason = `HTTP ${response.status}: ${response.statusText}`;
+      if (!RETRYABLE_STATUSES.has(response.status) || attempt >= retries) {
+        throw failure(reason, { status: response.status });
+      }
+
+      const retryAfter = parseRetryAfter(response.retryAfter);
+      if (retryAfter !== null && retryAfter > this.maxRetryDelay) {
+        throw failure(`${reason}, Retry-After of ${Math.ceil(retryAfter / 1000)}s exceeds maxRetryDelay`, { status: response.status });
+      }
+      await this.wait(label, attempt, retries, reason, retryAfter ?? this.backoffDelay(attempt), verb);
+    }
+  }
+
+  // One attempt; the timeout covers reading the body as well as the headers
+  async request(url, headers, { method = 'GET', body } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(url, {
+        method,
+        body,
+        headers: { 'User-Agent': this.userAgent, ...headers },
+        signal: controller.signal
+      });
+      const result = {
+        ok: response.ok,
+        status: response.status,
+        statusText: response.statusText,
+        retryAfter: response.headers.get('retry-after'),
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified')
+      };
+      if (response.ok) {
+        result.text = await response.text();
+      } else {
+        await response.body?.cancel();
+      }
+      return result;
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new Error(`timed out after ${this.timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  backoffDelay(attempt) {
+    return this.backoff * 2 ** (attempt - 1);
+  }
+
+  async wait(url, attempt, retries, reason, delay, verb = 'fetch') {
+    this.warn(`Failed to ${verb} ${url} (attempt ${attempt}/${retries}): ${reason} - Retrying in ${(delay / 1000).toFixed(1)} seconds...`, {
+      type: 'retry',
+      url,
+      attempt,
+      delay
+    });
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+module.exports = {
+  DEFAULT_FETCH_OPTIONS,
+  HttpClient,
+  parseRetryAfter
+};
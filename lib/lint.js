@@ -0,0 +1,485 @@
+/**
+ * Pattern Lint
+ *
+ * Reviews the cookie, JavaScript and network pattern datasets as a whole:
+ * patterns shared by several technologies, over-broad patterns (very short
+ * literals, a leading `.*`, no anchoring, matching generic input) and regexes
+ * that can backtrack catastrophically (nested quantifiers, overlapping
+ * alternatives, adjacent quantifiers over the same characters). Each finding
+ * has a severity; findings at or above `exclude` drop their patterns from the
+ * exported datasets.
+ */
+
+const { parsePattern } = require('./patterns');
+
+const SEVERITIES = ['info', 'warning', 'error'];
+const RULES = {
+  'nested-quantifier': 'error',
+  'overlapping-alternation': 'warning',
+  'adjacent-quantifiers': 'warning',
+  'shared-pattern': 'warning',
+  'generic-match': 'warning',
+  'short-literal': 'warning',
+  'leading-wildcard': 'warning',
+  unanchored: 'info'
+};
+
+const DEFAULT_LINT_OPTIONS = { exclude: 'none', minLiteralLength: 3, ignore: [] };
+
+// Values common to most sites; a pattern matching one of them detects nothing in particular
+const GENERIC_INPUTS = {
+  cookies: ['id', 'session', 'sessionid', 'sid', 'token', 'csrftoken', 'lang', 'locale', 'user', 'cart', 'consent', 'test'],
+  js: ['app', 'config', 'data', 'init', 'main', 'settings', 'utils', 'version', 'user', 'page', 'module', 'exports'],
+  network: [
+    'https://www.example.com/',
+    'https://www.example.com/index.html',
+    'https://www.example.com/js/app.js',
+    'https://www.example.com/assets/main.min.js',
+    'https://www.example.com/static/js/bundle.3f2a1c.js',
+    'https://www.example.com/api/v1/items?page=2&sort=asc',
+    'https://cdn.example.org/lib/vendor.js'
+  ]
+};
+
+// Printable ASCII plus whitespace and one non-ASCII letter, for comparing character classes
+const ALPHABET = [
+  ...Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)),
+  '\t', '\n', 'é'
+];
+
+/**
+ * Parses a regex source into alternatives of nodes: `literal`, `class`, `any`,
+ * `anchor`, `backreference`, `group` (with its own `alternatives`) and
+ * `lookaround`, each with a `{ min, max }` quantifier or null and its
+ * `text` including the quantifier.
+ */
+function parseRegex(source) {
+  let i = 0;
+
+  const parseAlternatives = () => {
+    const alternatives = [[]];
+    while (i < source.length && source[i] !== ')') {
+      if (source[i] === '|') {
+        alternatives.push([]);
+        i++;
+        continue;
+      }
+      const start = i;
+      const node = parseAtom();
+      node.quantifier = parseQuantifier();
+      node.text = source.slice(start, i);
+      alternatives[alternatives.length - 1].push(node);
+    }
+    return alternatives;
+  };
+
+  const parseAtom = () => {
+    const start = i;
+    const char = source[i];
+
+    if (char === '(') {
+      let kind = 'group';
+      i++;
+      if (source[i] === '?') {
+        if (source[i + 1] === ':') {
+          i += 2;
+        } else if ('=!'.includes(source[i + 1])) {
+          kind = 'lookaround';
+          i += 2;
+        } else if (source[i + 1] === '<' && '=!'.includes(source[i + 2])) {
+          kind = 'lookaround';
+          i += 3;
+        } else if (source[i + 1] === '<') {
+          i = source.indexOf('>', i) + 1;
+        }
+      }
+      const alternatives = parseAlternatives();
+      i++;
+      return { kind, alternatives, source: source.slice(start, i) };
+    }
+
+    if (char === '[') {
+      i++;
+      if (source[i] === '^') i++;
+      if (source[i] === ']') i++;
+      while (i < source.length && source[i] !== ']') {
+        if (source[i] === '\\') i++;
+        i++;
+      }
+      i++;
+      return { kind: 'class', source: source.slice(start, i) };
+    }
+
+    if (char === '\\') {
+      const escaped = source[i + 1];
+      i += 2;
+      if ('bB'.includes(escaped)) return { kind: 'anchor', source: source.slice(start, i) };
+      if ('dDwWsS'.includes(escaped)) return { kind: 'class', source: source.slice(start, i) };
+      if (/[1-9]/.test(escaped)) {
+        while (/\d/.test(source[i])) i++;
+        return { kind: 'backreference', source: source.slice(start, i) };
+      }
+      if (escaped === 'x') i += 2;
+      if (escaped === 'u') i = source[i] === '{' ? source.indexOf('}', i) + 1 : i + 4;
+      if (escaped === 'c') i++;
+      const text = source.slice(start, i);
+      return { kind: 'literal', source: text, char: /^\\[^a-zA-Z0-9]$/.test(text) ? escaped : null };
+    }
+
+    i++;
+    if (char === '^' || char === '$') return { kind: 'anchor', source: char };
+    if (char === '.') return { kind: 'any', source: char };
+    return { kind: 'literal', source: char, char };
+  };
+
+  const parseQuantifier = () => {
+    let quantifier = null;
+    const braces = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i));
+
+    if (source[i] === '*') quantifier = { min: 0, max: Infinity };
+    if (source[i] === '+') quantifier = { min: 1, max: Infinity };
+    if (source[i] === '?') quantifier = { min: 0, max: 1 };
+    if (braces) {
+      const min = Number(braces[1]);
+      quantifier = { min, max: !braces[2] ? min : braces[3] === '' ? Infinity : Number(braces[3]) };
+      i += braces[0].length - 1;
+    }
+    if (!quantifier) return null;
+
+    i++;
+    if (source[i] === '?') i++;
+    return quantifier;
+  };
+
+  const alternatives = parseAlternatives();
+  if (i < source.length) {
+    // Unbalanced `)`: lint what follows as a separate alternative
+    i++;
+    return [...alternatives, ...parseRegex(source.slice(i))];
+  }
+  return alternatives;
+}
+
+const isUnbounded = node => node.quantifier?.max === Infinity;
+const isMandatory = node => !node.quantifier || node.quantifier.min > 0;
+const isLeaf = node => ['literal', 'class', 'any'].includes(node.kind);
+
+// Unquantified single-alternative groups like `([\d.]+)` don't change what a sequence matches
+function flatten(sequence) {
+  return sequence.flatMap(node => (node.kind === 'group' && !node.quantifier && node.alternatives.length === 1
+    ? flatten(node.alternatives[0])
+    : [node]));
+}
+
+function walk(alternatives, visit) {
+  alternatives.forEach(sequence => {
+    visit(flatten(sequence));
+    sequence.forEach(node => {
+      if (node.alternatives) walk(node.alternatives, visit);
+    });
+  });
+}
+
+function nodesOf(alternatives) {
+  return alternatives.flatMap(sequence => sequence.flatMap(node => (node.alternatives ? [node, ...nodesOf(node.alternatives)] : [node])));
+}
+
+class CharacterSets {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  // Characters of ALPHABET a node can match (any character a group can)
+  of(node, flags) {
+    if (node.kind === 'group') {
+      return new Set(nodesOf(node.alternatives).flatMap(inner => Array.from(this.of(inner, flags))));
+    }
+    if (node.kind === 'backreference') return new Set(ALPHABET);
+    if (!isLeaf(node)) return new Set();
+
+    const key = `${flags}/${node.source}`;
+    if (!this.cache.has(key)) {
+      let chars;
+      try {
+        const regex = new RegExp(`^(?:${node.source})$`, flags.replace(/[gy]/g, ''));
+        chars = new Set(ALPHABET.filter(char => regex.test(char)));
+      } catch {
+        chars = new Set(ALPHABET);
+      }
+      this.cache.set(key, chars);
+    }
+    return this.cache.get(key);
+  }
+
+  // Characters a node's matches can start with
+  first(node, flags) {
+    if (node.kind !== 'group') return this.of(node, flags);
+
+    const chars = new Set();
+    node.alternatives.forEach(sequence => {
+      for (const inner of flatten(sequence)) {
+        if (inner.kind === 'anchor' || inner.kind === 'lookaround') continue;
+        this.first(inner, flags).forEach(char => chars.add(char));
+        if (isMandatory(inner)) break;
+      }
+    });
+    return chars;
+  }
+}
+
+function intersects(a, b) {
+  return Array.from(b).some(char => a.has(char));
+}
+
+/**
+ * Regex shapes that can backtrack catastrophically, as [rule, message,
+ * severity] with the severity left undefined when it is the rule's own.
+ */
+function redosRisks(alternatives, flags, sets) {
+  const risks = [];
+  const add = (rule, message, severity) => {
+    if (!risks.some(([, existing]) => existing === message)) risks.push([rule, message, severity]);
+  };
+
+  nodesOf(alternatives).filter(node => node.kind === 'group' && isUnbounded(node)).forEach(group => {
+    // (a+)+ - unless each repetition must pass a character the inner quantifier can't match, as in (\w+\.)+
+    group.alternatives.forEach(sequence => {
+      const flat = flatten(sequence);
+      const inner = nodesOf([flat]).filter(isUnbounded);
+      const delimited = node => flat.includes(node) && flat.some(other =>
+        other !== node && isLeaf(other) && isMandatory(other) && !intersects(sets.of(node, flags), sets.of(other, flags))
+      );
+      if (inner.some(node => !delimited(node))) {
+        add('nested-quantifier', `Nested quantifier in ${group.text} can backtrack exponentially`);
+      }
+    });
+
+    // (a|ab)* - alternatives starting with the same characters; (\w|\d)+ is as bad as (\w+)+
+    const alternatives = group.alternatives.map(sequence => ({ kind: 'group', alternatives: [sequence] }));
+    alternatives.forEach((alternative, index) => alternatives.slice(index + 1).forEach(other => {
+      if (intersects(sets.first(alternative, flags), sets.first(other, flags))) {
+        const single = [alternative, other].every(({ alternatives: [sequence] }) => sequence.length === 1 && isLeaf(sequence[0]) && !sequence[0].quantifier);
+        add('overlapping-alternation', `Repeated alternatives in ${group.text} can match the same input`, single ? 'error' : undefined);
+      }
+    }));
+  });
+
+  // .*.* - two unbounded quantifiers in a row over the same characters
+  walk(alternatives, sequence => {
+    let previous = null;
+    sequence.forEach(node => {
+      if (isUnbounded(node)) {
+        if (previous && intersects(sets.of(previous, flags), sets.first(node, flags))) {
+          add('adjacent-quantifiers', `Adjacent quantifiers ${previous.text} and ${node.text} overlap and can backtrack polynomially`);
+        }
+        previous = node;
+      } else if (isMandatory(node) && node.kind !== 'anchor') {
+        previous = null;
+      }
+    });
+  });
+
+  return risks;
+}
+
+// Longest run of literal characters every match must contain
+function longestLiteral(alternatives) {
+  return Math.min(...alternatives.map(sequence => {
+    let longest = 0;
+    let run = 0;
+    flatten(sequence).forEach(node => {
+      if (node.kind === 'literal' && isMandatory(node)) {
+        longest = Math.max(longest, run + 1);
+        // `ab+c` contains "ab" and "bc" but not "abc"
+        run = node.quantifier && node.quantifier.max !== 1 ? 1 : run + 1;
+        return;
+      }
+      if (node.kind === 'anchor' || node.kind === 'lookaround') return;
+      run = 0;
+      if (node.kind === 'group' && isMandatory(node)) {
+        longest = Math.max(longest, longestLiteral(node.alternatives));
+      }
+    });
+    return longest;
+  }));
+}
+
+function breadthIssues(alternatives, dataset, { minLiteralLength }) {
+  const issues = [];
+  const nodes = nodesOf(alternatives);
+
+  const wildcard = alternatives
+      .map(sequence => flatten(sequence).find(node => node.kind !== 'anchor'))
+      .find(node => node && node.kind === 'any' && isUnbounded(node));
+  if (wildcard) {
+    issues.push(['leading-wildcard', `Leading ${wildcard.text} matches anywhere and slows every test`]);
+  }
+
+  const literal = longestLiteral(alternatives);
+  if (literal < minLiteralLength) {
+    issues.push(['short-literal', `Longest literal is ${literal} character${literal === 1 ? '' : 's'} (minimum ${minLiteralLength})`]);
+  }
+
+  // Names are matched whole; URL patterns need an anchor or a host/path separator to tie them down
+  const separator = node => ['/', '.'].includes(node.char) || (node.kind === 'any' && !node.quantifier);
+  if (dataset === 'network-patterns' && !nodes.some(node => node.kind === 'anchor' || separator(node))) {
+    issues.push(['unanchored', 'No anchor, host or path separator: matches anywhere in a URL']);
+  }
+
+  return issues;
+}
+
+function genericMatch(regex, flags, samples) {
+  try {
+    const compiled = new RegExp(regex, flags.replace(/[gy]/g, ''));
+    return samples.find(sample => compiled.test(sample)) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lints the pattern datasets. `datasets` maps dataset names (cookie-patterns,
+ * javascript-patterns, network-patterns) to their entries; `related(a, b)`
+ * tells whether two technologies imply one another, which makes sharing a
+ * pattern expected. Returns the report and the entries to exclude.
+ */
+function lintPatterns(datasets, options = {}) {
+  const settings = { ...DEFAULT_LINT_OPTIONS, ...options };
+  const related = options.related || (() => false);
+  const ignore = new Set(settings.ignore);
+  const sets = new CharacterSets();
+  const findings = [];
+  let total = 0;
+
+  const report = (rule, entries, details) => {
+    if (ignore.has(rule)) return;
+    findings.push({ rule, severity: RULES[rule], entries, ...details });
+  };
+
+  Object.entries(datasets).forEach(([dataset, entries]) => {
+    const generic = dataset === 'cookie-patterns' ? GENERIC_INPUTS.cookies
+      : dataset === 'javascript-patterns' ? GENERIC_INPUTS.js
+        : GENERIC_INPUTS.network;
+    const shared = new Map();
+
+    entries.forEach(entry => {
+      total++;
+      const location = { dataset, type: entry.type || datasetType(dataset), technologies: [entry.technology], pattern: entry.pattern };
+      const parts = [
+        entry.regex !== null && entry.regex !== undefined && ['regex', entry.regex, entry.flags || ''],
+        entry.valuePattern?.regex && ['valuePattern', entry.valuePattern.regex, entry.valuePattern.flags || '']
+      ].filter(Boolean);
+
+      parts.forEach(([part, regex, flags]) => {
+        const alternatives = parseRegex(regex);
+        const risks = redosRisks(alternatives, flags, sets);
+        risks.forEach(([rule, message, severity]) => {
+          report(rule, [entry], { ...location, part, regex, message, ...(severity ? { severity } : {}) });
+        });
+        if (part !== 'regex') return;
+
+        breadthIssues(alternatives, dataset, settings).forEach(([rule, message]) => {
+          report(rule, [entry], { ...location, part, regex, message });
+        });
+        // Regexes that may backtrack badly aren't run against the samples
+        const sample = risks.length === 0 ? genericMatch(regex, flags, generic) : null;
+        if (sample !== null) {
+          report('generic-match', [entry], { ...location, part, regex, message: `Matches generic input "${sample}"` });
+        }
+      });
+
+      const key = JSON.stringify([entry.regex ?? entry.selector, entry.flags, entry.valuePattern?.regex || null]);
+      if (!shared.has(key)) shared.set(key, []);
+      shared.get(key).push(entry);
+    });
+
+    shared.forEach(group => {
+      const technologies = Array.from(new Set(group.map(entry => entry.technology))).sort();
+      if (technologies.length < 2) return;
+
+      // Expected when every technology implies, or is implied by, another one sharing it
+      const expected = technologies.every(name => technologies.some(other => other !== name && related(name, other)));
+      const first = group[0];
+      report('shared-pattern', group, {
+        dataset,
+        type: first.type || datasetType(dataset),
+        technologies,
+        pattern: first.pattern,
+        part: 'regex',
+        regex: first.regex ?? first.selector,
+        message: `Shared by ${technologies.length} technologies${expected ? ' that imply one another' : ''}`,
+        ...(expected ? { severity: 'info' } : {})
+      });
+    });
+  });
+
+  const threshold = SEVERITIES.indexOf(settings.exclude);
+  const excluded = new Set();
+  findings.forEach(finding => {
+    finding.excluded = threshold >= 0 && SEVERITIES.indexOf(finding.severity) >= threshold;
+    if (finding.excluded) finding.entries.forEach(entry => excluded.add(entry));
+  });
+
+  findings.sort((a, b) =>
+    SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) ||
+    a.rule.localeCompare(b.rule) ||
+    a.dataset.localeCompare(b.dataset) ||
+    a.technologies[0].localeCompare(b.technologies[0]) ||
+    a.pattern.localeCompare(b.pattern)
+  );
+
+  const countBy = field => findings.reduce((counts, finding) => {
+    counts[finding[field]] = (counts[finding[field]] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    excluded,
+    report: {
+      settings: { exclude: settings.exclude, minLiteralLength: settings.minLiteralLength, ignore: Array.from(ignore).sort() },
+      summary: {
+        patterns: total,
+        findings: findings.length,
+        flagged: new Set(findings.flatMap(finding => finding.entries)).size,
+        excluded: excluded.size,
+        bySeverity: Object.fromEntries(SEVERITIES.map(severity => [severity, findings.filter(finding => finding.severity === severity).length])),
+        byRule: countBy('rule'),
+        byDataset: countBy('dataset')
+      },
+      findings: findings.map(({ entries, ...finding }) => finding)
+    }
+  };
+}
+
+function datasetType(dataset) {
+  return dataset === 'cookie-patterns' ? 'cookies' : dataset === 'javascript-patterns' ? 'js' : 'network';
+}
+
+/**
+ * Removes excluded patterns from a raw technology field (as kept in
+ * extension-database.json). `patterns` holds the `pattern` values of the
+ * excluded entries: cookie and global names, URL patterns or DOM selectors.
+ */
+function withoutPatterns(type, value, patterns) {
+  if (!patterns || patterns.size === 0) return value;
+
+  if (Array.isArray(value) || typeof value === 'string') {
+    const list = Array.isArray(value) ? value : [value];
+    return list.filter(item => typeof item !== 'string' ||
+      !patterns.has(type === 'dom' ? parsePattern(item).regex : item));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).filter(([key]) => !patterns.has(key)));
+  }
+  return value;
+}
+
+module.exports = {
+  SEVERITIES,
+  RULES,
+  DEFAULT_LINT_OPTIONS,
+  parseRegex,
+  lintPatterns,
+  withoutPatterns
+};
@@ -0,0 +1,316 @@
+/**
+ * Lookup Index
+ *
+ * Compact index over the cookie, JavaScript and network patterns for
+ * answering "which technologies set this cookie / define this global / load
+ * this URL?" without scanning every pattern. Literal names go into hash maps,
+ * trailing-wildcard cookie names are bucketed by prefix and URL regexes are
+ * bucketed by the registrable domain written in them; only the remaining
+ * regexes are tested one by one.
+ *
+ * Lookups match names only: cookie and global value patterns are ignored.
+ */
+
+const { tryCompilePattern, escapeRegex } = require('./patterns');
+const { hostnameOf, registrableDomain, hostnameFromPattern } = require('./domains');
+
+const INDEX_VERSION = 1;
+// Length of the prefix buckets; shorter prefixes fall back to the regex list
+const PREFIX_LENGTH = 2;
+
+/**
+ * Builds the serialisable index. Technologies are stored once in a table and
+ * referenced by position everywhere else to keep the file small. `origins`
+ * maps technology names to their origin; without it a technology takes the
+ * origin of its first pattern.
+ */
+function buildLookupIndex({ cookiePatterns = [], jsPatterns = [], networkPatterns = [], origins = {}, generatedAt = new Date().toISOString() }) {
+  const technologies = [];
+  const techIds = new Map();
+  const idOf = entry => {
+    if (!techIds.has(entry.technology)) {
+      techIds.set(entry.technology, technologies.length);
+      technologies.push([entry.technology, entry.threatLevel, origins[entry.technology] || entry.origin || 'upstream']);
+    }
+    return techIds.get(entry.technology);
+  };
+
+  const index = {
+    version: INDEX_VERSION,
+    generatedAt,
+    technologies,
+    cookies: indexNames(cookiePatterns, idOf),
+    js: indexNames(jsPatterns, idOf),
+    hosts: {},
+    urls: []
+  };
+
+  const seen = new Set();
+  networkPatterns.forEach(entry => {
+    // DOM selectors without a URL regex can't be looked up by URL
+    if (!entry.regex) return;
+
+    const id = idOf(entry);
+    const key = `${id}\n${entry.regex}\n${entry.flags}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    const hostname = hostnameFromPattern(entry.regex);
+    if (hostname) {
+      const domain = registrableDomain(hostname);
+      (index.hosts[domain] = index.hosts[domain] || []).push([entry.regex, entry.flags, id]);
+    } else {
+      index.urls.push([entry.regex, entry.flags, id]);
+    }
+  });
+
+  index.stats = {
+    technologies: technologies.length,
+    exactNames: Object.keys(index.cookies.exact).length + Object.keys(index.js.exact).length,
+    prefixNames: [index.cookies, index.js].reduce((sum, names) =>
+      sum + Object.values(names.prefix).reduce((count, list) => count + list.length, 0), 0),
+    nameRegexes: index.cookies.regex.length + index.js.regex.length,
+    hosts: Object.keys(index.hosts).length,
+    hostRegexes: Object.values(index.hosts).reduce((sum, list) => sum + list.length, 0),
+    urlRegexes: index.urls.length
+  };
+
+  return index;
+}
+
+function indexNames(patterns, idOf) {
+  const names = { exact: {}, prefix: {}, regex: [] };
+  const add = (list, value) => {
+    if (!list.some(item => JSON.stringify(item) === JSON.stringify(value))) list.push(value);
+  };
+
+  patterns.forEach(entry => {
+    const id = idOf(entry);
+    const name = String(entry.pattern);
+    const caseSensitive = !entry.flags.includes('i');
+
+    if (caseSensitive && entry.regex === `^${escapeRegex(name)}$`) {
+      add(names.exact[name] = names.exact[name] || [], id);
+      return;
+    }
+
+    const prefix = name.slice(0, -1);
+    if (caseSensitive && name.endsWith('*') && !prefix.includes('*') && prefix.length >= PREFIX_LENGTH) {
+      const bucket = prefix.slice(0, PREFIX_LENGTH);
+      add(names.prefix[bucket] = names.prefix[bucket] || [], [prefix, id]);
+      return;
+    }
+
+    add(names.regex, [entry.regex, entry.flags, id, name]);
+  });
+
+  return names;
+}
+
+/**
+ * Queries a serialised index. Regexes are compiled once, on construction.
+ */
+class LookupIndex {
+  constructor(index, { getRiskLevel = null } = {}) {
+    this.index = index;
+    this.getRiskLevel = getRiskLevel;
+    this.invalidPatterns = [];
+
+    this.cookies = this.compileNames(index.cookies);
+    this.js = this.compileNames(index.js);
+    this.hosts = new Map(Object.entries(index.hosts).map(([domain, list]) => [domain, this.compileRegexes(list)]));
+    this.urls = this.compileRegexes(index.urls);
+  }
+
+  compileNames(names) {
+    return {
+      exact: new Map(Object.entries(names.exact)),
+      prefix: new Map(Object.entries(names.prefix)),
+      regex: this.compileRegexes(names.regex)
+    };
+  }
+
+  compileRegexes(list) {
+    return list.flatMap(([regex, flags, id, pattern]) => {
+      const { regexp, error } = tryCompilePattern({ regex, flags });
+      if (error) {
+        this.invalidPatterns.push({ regex, error });
+        return [];
+      }
+      return [{ regexp, id, pattern: pattern || regex }];
+    });
+  }
+
+  /**
+   * Returns the technologies matching any of the given cookie names,
+   * JavaScript globals and URLs (each a string or an array of strings).
+   */
+  lookup({ cookie = [], jsGlobal = [], url = [] } = {}) {
+    const results = new Map();
+    const record = (id, match) => {
+      if (!results.has(id)) {
+        // Indexes written before origins were recorded have [name, threatLevel]
+        const [technology, threatLevel, origin = 'upstream'] = this.index.technologies[id];
+        results.set(id, {
+          technology,
+          threatLevel,
+          ...(this.getRiskLevel ? { riskLevel: this.getRiskLevel(threatLevel) } : {}),
+          origin,
+          matches: []
+        });
+      }
+      results.get(id).matches.push(match);
+    };
+
+    [].concat(cookie).forEach(name => this.matchName(this.cookies, 'cookie', String(name), record));
+    [].concat(jsGlobal).forEach(name => this.matchName(this.js, 'js', String(name), record));
+    [].concat(url).forEach(value => this.matchUrl(String(value), record));
+
+    return Array.from(results.values());
+  }
+
+  matchName(names, type, name, record) {
+    (names.exact.get(name) || []).forEach(id => record(id, { type, value: name, pattern: name }));
+
+    (names.prefix.get(name.slice(0, PREFIX_LENGTH)) || []).forEach(([prefix, id]) => {
+      if (name.startsWith(prefix)) record(id, { type, value: name, pattern: `${prefix}*` });
+    });
+
+    names.regex.forEach(({ regexp, id, pattern }) => {
+      if (regexp.test(name)) record(id, { type, value: name, pattern });
+    });
+  }
+
+  matchUrl(url, record) {
+    // Walk the host's suffixes, as registrableDomain() doesn't know every
+    // multi-label suffix (www.cloudfront.net vs d1.cloudfront.net)
+    const labels = hostnameOf(url).split('.');
+    const candidates = labels.flatMap((label, i) => this.hosts.get(labels.slice(i).join('.')) || []);
+    [...candidates, ...this.urls].forEach(({ regexp, id, pattern }) => {
+      if (regexp.test(url)) record(id, { type: 'url', value: url, pattern });
+    });
+  }
+}
+
+/**
+ * Baseline for the benchmark: tests every pattern of the flat dataset lists.
+ */
+class FlatLookup {
+  constructor({ cookiePatterns = [], jsPatterns = [], networkPatterns = [] }) {
+    const compile = list => list.flatMap(entry => {
+      const { regexp } = tryCompilePattern(entry);
+      return regexp ? [{ regexp, technology: entry.technology }] : [];
+    });
+
+    this.cookies = compile(cookiePatterns);
+    this.js = compile(jsPatterns);
+    this.network = compile(networkPatterns);
+  }
+
+  lookup({ cookie = [], jsGlobal = [], url = [] } = {}) {
+    const technologies = new Set();
+    const scan = (patterns, values) => [].concat(values).forEach(value => {
+      patterns.forEach(({ regexp, technology }) => {
+        if (regexp.test(String(value))) technologies.add(technology);
+      });
+    });
+
+    scan(this.cookies, cookie);
+    scan(this.js, jsGlobal);
+    scan(this.network, url);
+    return Array.from(technologies).map(technology => ({ technology }));
+  }
+}
+
+/**
+ * Sample queries for the benchmark: every indexed name, a URL built from
+ * every literal network pattern and a few values that match nothing.
+ */
+function benchmarkQueries(index) {
+  const queries = [];
+
+  [['cookie', index.cookies], ['jsGlobal', index.js]].forEach(([field, names]) => {
+    Object.keys(names.exact).forEach(name => queries.push({ [field]: name }));
+    Object.values(names.prefix).flat().forEach(([prefix]) => queries.push({ [field]: `${prefix}x1` }));
+  });
+
+  const regexes = [...Object.values(index.hosts).flat(), ...index.urls];
+  regexes.forEach(([regex]) => {
+    // Only literal patterns give a URL; an unescaped `.` is a wildcard, not a dot
+    if (/(^|[^\\])(\\\\)*\./.test(regex)) return;
+    const literal = regex.replace(/\\(.)/g, '$1').replace(/^(?:https?:)?\/\//, '');
+    if (/[()[\]{}*+?|^$]/.test(literal)) return;
+
+    const hostname = hostnameFromPattern(regex);
+    let url;
+    if (hostname && literal.startsWith(`.${hostname}`)) {
+      url = `https://www${literal}`;
+    } else if (hostname && literal.startsWith(hostname)) {
+      url = `https://${literal}`;
+    } else {
+      url = `https://www.example.com${literal.startsWith('/') ? '' : '/'}${literal}`;
+    }
+    queries.push({ url });
+  });
+
+  queries.push(
+    { cookie: 'PHPSESSID_unknown' },
+    { jsGlobal: 'notARealGlobal' },
+    { url: 'https://www.example.com/assets/app.js' }
+  );
+  return queries;
+}
+
+/**
+ * Times the index against the flat lists on the same queries and reports how
+ * often their technology sets disagree.
+ */
+function benchmarkLookup(lookupIndex, flatLookup, { iterations = 5, queries = benchmarkQueries(lookupIndex.index) } = {}) {
+  const time = lookup => {
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < iterations; i++) {
+      queries.forEach(query => lookup.lookup(query));
+    }
+    const totalMs = Number(process.hrtime.bigint() - start) / 1e6;
+    return {
+      totalMs: round(totalMs),
+      perLookupUs: round((totalMs * 1000) / (queries.length * iterations))
+    };
+  };
+
+  const names = results => results.map(result => result.technology).sort().join('\n');
+  const mismatches = queries
+      .map(query => ({ query, index: lookupIndex.lookup(query), flat: flatLookup.lookup(query) }))
+      .filter(result => names(result.index) !== names(result.flat))
+      .map(({ query, index, flat }) => ({
+        query,
+        index: index.map(result => result.technology),
+        flat: flat.map(result => result.technology)
+      }));
+
+  const index = time(lookupIndex);
+  const flat = time(flatLookup);
+
+  return {
+    queries: queries.length,
+    iterations,
+    index,
+    flat,
+    speedup: index.totalMs > 0 ? round(flat.totalMs / index.totalMs) : null,
+    mismatches: mismatches.length,
+    examples: mismatches.slice(0, 10)
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+  INDEX_VERSION,
+  buildLookupIndex,
+  LookupIndex,
+  FlatLookup,
+  benchmarkQueries,
+  benchmarkLookup
+};
@@ -0,0 +1,166 @@
+/**
+ * Technology Overlays
+ *
+ * Merges local files in Wappalyzer's technology format over the upstream
+ * definitions. Overlays apply in the order they are configured, so a later
+ * overlay wins over an earlier one and every overlay wins over upstream:
+ *
+ *   { "In-house Tracker": { "cats": [10], "cookies": { "_iht": "" } },   add
+ *     "Google Analytics": { "cookies": { "_ga_internal": "" } },         patch
+ *     "Hotjar": { "$replace": true, "cats": [10] },                        replace
+ *     "Some CMS": null }                                                   remove
+ *
+ * Patches replace fields, except map fields (cookies, js, headers, meta,
+ * dns), which are merged key by key; `null` removes a field or key.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { ConfigurationError, ValidationError } = require('./errors');
+
+const MERGED_FIELDS = ['cookies', 'js', 'headers', 'meta', 'dns'];
+const UPSTREAM = 'upstream';
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Reads the overlay files, resolving relative paths against `baseDir` (the
+ * config file's directory). Each overlay's origin names its path relative to
+ * `baseDir`, so overlays with the same file name in different directories
+ * stay apart.
+ */
+async function loadOverlays(files = [], baseDir = process.cwd()) {
+  const overlays = [];
+
+  for (const file of files) {
+    const filepath = path.resolve(baseDir, file);
+    let content;
+    try {
+      content = await fs.readFile(filepath, 'utf8');
+    } catch (error) {
+      throw new ConfigurationError(`Overlay not found: ${file}`, { path: file, cause: error });
+    }
+
+    let technologies;
+    try {
+      technologies = JSON.parse(content);
+    } catch (error) {
+      throw new ValidationError(`Invalid JSON in overlay ${file}: ${error.message}`, { path: file, cause: error });
+    }
+    if (!isObject(technologies)) {
+      throw new ValidationError(`Invalid overlay ${file}: expected an object of technologies`, { path: file });
+    }
+
+    overlays.push({
+      file,
+      origin: `overlay:${path.relative(baseDir, filepath).split(path.sep).join('/')}`,
+      sha256: crypto.createHash('sha256').update(content).digest('hex'),
+      technologies
+    });
+  }
+
+  return overlays;
+}
+
+/**
+ * Applies overlays to the upstream technologies. Returns the merged
+ * technologies, a provenance map (name -> { origin, patchedBy, fields }) and
+ * per-overlay counts of added, patched, replaced and removed technologies.
+ */
+function applyOverlays(technologies, overlays) {
+  const merged = { ...technologies };
+  const provenance = new Map(Object.keys(technologies).map(name => [name, createProvenance(UPSTREAM)]));
+  const report = [];
+
+  overlays.forEach(({ file, origin, technologies: overlay }) => {
+    const counts = { file, origin, added: [], patched: [], replaced: [], removed: [], missing: [] };
+
+    Object.entries(overlay).forEach(([name, definition]) => {
+      const exists = Object.prototype.hasOwnProperty.call(merged, name);
+
+      if (definition === null) {
+        if (!exists) {
+          counts.missing.push(name);
+          return;
+        }
+        delete merged[name];
+        provenance.delete(name);
+        counts.removed.push(name);
+        return;
+      }
+
+      if (!isObject(definition)) {
+        throw new ValidationError(`Invalid overlay ${file}: ${name} must be an object or null`, { path: file, technology: name });
+      }
+
+      const { $replace: replace, ...fields } = definition;
+      if (!exists || replace || !isObject(merged[name])) {
+        merged[name] = fields;
+        provenance.set(name, createProvenance(origin));
+        counts[exists ? 'replaced' : 'added'].push(name);
+        return;
+      }
+
+      merged[name] = patchTechnology(merged[name], fields, origin, provenance.get(name));
+      counts.patched.push(name);
+    });
+
+    report.push(counts);
+  });
+
+  return { technologies: merged, provenance, report };
+}
+
+function patchTechnology(tech, fields, origin, record) {
+  const result = { ...tech };
+
+  Object.entries(fields).forEach(([field, value]) => {
+    if (value === null) {
+      delete result[field];
+    } else if (MERGED_FIELDS.includes(field) && isObject(value) && isObject(result[field])) {
+      const map = { ...result[field] };
+      Object.entries(value).forEach(([key, pattern]) => {
+        if (pattern === null) {
+          delete map[key];
+        } else {
+          map[key] = pattern;
+        }
+        record.fields[`${field}:${key}`] = origin;
+      });
+      result[field] = map;
+      return;
+    } else {
+      result[field] = value;
+    }
+    record.fields[field] = origin;
+  });
+
+  if (!record.patchedBy.includes(origin)) {
+    record.patchedBy.push(origin);
+  }
+  return result;
+}
+
+function createProvenance(origin) {
+  return { origin, patchedBy: [], fields: {} };
+}
+
+/**
+ * Origin of a single pattern: the overlay that set its key or field, or the
+ * origin of the technology itself.
+ */
+function originOf(provenance, name, field = null, key = null) {
+  const record = provenance && provenance.get(name);
+  if (!record) return UPSTREAM;
+  if (field && key !== null && record.fields[`${field}:${key}`]) return record.fields[`${field}:${key}`];
+  if (field && record.fields[field]) return record.fields[field];
+  return record.origin;
+}
+
+module.exports = {
+  UPSTREAM,
+  loadOverlays,
+  applyOverlays,
+  originOf
+};
@@ -0,0 +1,221 @@
+/**
+ * Wappalyzer Pattern Parsing
+ *
+ * Wappalyzer patterns are regex strings with optional `\;` separated tags,
+ * e.g. `jquery-([\d.]+)\.js\;version:\1\;confidence:50`. These helpers split
+ * the tags off, compile the regex and resolve version templates.
+ */
+
+const TAG_SEPARATOR = '\\;';
+
+function parsePattern(pattern) {
+  const [regex, ...tags] = String(pattern).split(TAG_SEPARATOR);
+  const parsed = {
+    regex,
+    flags: 'i',
+    version: '',
+    confidence: 100
+  };
+
+  tags.forEach(tag => {
+    const separatorIndex = tag.indexOf(':');
+    if (separatorIndex === -1) return;
+
+    const key = tag.slice(0, separatorIndex);
+    const value = tag.slice(separatorIndex + 1);
+
+    if (key === 'version') {
+      parsed.version = value;
+    } else if (key === 'confidence') {
+      const confidence = parseInt(value, 10);
+      if (!Number.isNaN(confidence)) parsed.confidence = confidence;
+    }
+  });
+
+  return parsed;
+}
+
+function compilePattern(parsed) {
+  // Wappalyzer patterns are written for `new RegExp(...)`: slashes need no escaping, and `\/` already means `/`
+  return new RegExp(parsed.regex, parsed.flags);
+}
+
+function tryCompilePattern(parsed) {
+  try {
+    return { regexp: compilePattern(parsed), error: null };
+  } catch (error) {
+    return { regexp: null, error: error.message };
+  }
+}
+
+function resolveVersion(template, match) {
+  if (!template || !match) return '';
+
+  let resolved = template;
+
+  match.forEach((group, index) => {
+    // Ternary syntax: `\1?found:notFound`
+    const ternary = new RegExp(`\\\\${index}\\?([^:]+):(.*)$`).exec(resolved);
+    if (ternary) {
+      resolved = resolved.replace(ternary[0], group ? ternary[1] : ternary[2]);
+    }
+    resolved = resolved.replace(new RegExp(`\\\\${index}`, 'g'), group || '');
+  });
+
+  return resolved.trim();
+}
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Converts the key of a map-valued field into a regex source. Cookie names may
+ * use `*` as a wildcard (e.g. `_ga_*`); header and meta names and DNS record
+ * types are matched case-insensitively; everything else is an exact name.
+ */
+function keyToRegex(type, key) {
+  const source = type === 'cookies' && key.includes('*')
+    ? key.split('*').map(escapeRegex).join('.*')
+    : escapeRegex(key);
+
+  return {
+    regex: `^${source}$`,
+    flags: ['headers', 'meta', 'dns'].includes(type) ? 'i' : ''
+  };
+}
+
+/**
+ * Structured form of a single pattern. For keyed fields (`cookies`, `js`,
+ * `headers`, `meta`, `dns`) `regex` matches the name and `valuePattern` the value;
+ * for list fields `regex` is the pattern itself.
+ */
+function structurePattern(type, key, pattern) {
+  const parsed = parsePattern(pattern);
+
+  if (key === null || key === undefined) {
+    return {
+      regex: parsed.regex,
+      flags: parsed.flags,
+      version: parsed.version,
+      confidence: parsed.confidence,
+      valuePattern: null
+    };
+  }
+
+  return {
+    ...keyToRegex(type, key),
+    version: parsed.version,
+    confidence: parsed.confidence,
+    valuePattern: parsed.regex ? { regex: parsed.regex, flags: parsed.flags } : null
+  };
+}
+
+/**
+ * Structured form of DOM patterns. Selectors are CSS rather than regexes, so
+ * `regex` is null and any attribute/property/text checks become the
+ * `valuePattern`. Object-valued DOM patterns expand to one entry per check.
+ */
+function structureDomPatterns(dom) {
+  const selectorEntry = (selector, check = null) => {
+    const parsed = check ? parsePattern(check.pattern) : { regex: '', flags: 'i', version: '', confidence: 100 };
+    return {
+      pattern: selector,
+      selector,
+      regex: null,
+      flags: null,
+      version: parsed.version,
+      confidence: parsed.confidence,
+      valuePattern: check && (parsed.regex || check.target === 'exists')
+        ? { target: check.target, name: check.name, regex: parsed.regex, flags: parsed.flags }
+        : null
+    };
+  };
+
+  if (typeof dom === 'string' || Array.isArray(dom)) {
+    return toPatternEntries(dom).map(({ pattern }) => {
+      const parsed = parsePattern(pattern);
+      return { ...selectorEntry(parsed.regex), version: parsed.version, confidence: parsed.confidence };
+    });
+  }
+
+  if (!dom || typeof dom !== 'object') return [];
+
+  const entries = [];
+  Object.entries(dom).forEach(([selector, checks]) => {
+    if (!checks || typeof checks !== 'object' || Object.keys(checks).length === 0) {
+      entries.push(selectorEntry(selector));
+      return;
+    }
+
+    Object.entries(checks).forEach(([target, value]) => {
+      if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([name, pattern]) => {
+          entries.push(selectorEntry(selector, { target, name, pattern: String(pattern) }));
+        });
+      } else {
+        entries.push(selectorEntry(selector, { target, name: null, pattern: String(value ?? '') }));
+      }
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Returns the first compile error of a structured pattern, or null when both
+ * `regex` and `valuePattern.regex` compile in JavaScript.
+ */
+function findPatternError(structured) {
+  const sources = [];
+  if (structured.regex !== null && structured.regex !== undefined) {
+    sources.push({ regex: structured.regex, flags: structured.flags });
+  }
+  if (structured.valuePattern) {
+    sources.push(structured.valuePattern);
+  }
+
+  for (const source of sources) {
+    const { error } = tryCompilePattern(source);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Normalises the shapes Wappalyzer uses for a detection field into a list of
+ * `{ key, pattern }` pairs. Map-valued fields (cookies, js, headers, meta, dns)
+ * keep their key, with one pair per pattern when a key lists several;
+ * list-valued fields (scriptSrc, xhr, html, url, css, ...) have a null key.
+ */
+function toPatternEntries(value) {
+  if (value === undefined || value === null) return [];
+  if (typeof value === 'string') return [{ key: null, pattern: value }];
+  if (Array.isArray(value)) {
+    return value
+        .filter(pattern => typeof pattern === 'string')
+        .map(pattern => ({ key: null, pattern }));
+  }
+  if (typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, pattern]) => {
+      if (Array.isArray(pattern)) {
+        return pattern.filter(item => typeof item === 'string').map(item => ({ key, pattern: item }));
+      }
+      return [{ key, pattern: typeof pattern === 'string' ? pattern : '' }];
+    });
+  }
+  return [];
+}
+
+module.exports = {
+  parsePattern,
+  compilePattern,
+  tryCompilePattern,
+  resolveVersion,
+  escapeRegex,
+  toPatternEntries,
+  keyToRegex,
+  structurePattern,
+  structureDomPatterns,
+  findPatternError
+};
@@ -0,0 +1,216 @@
+/**
+ * Build Provenance
+ *
+ * Records what a run was built from: the source and the upstream commit it
+ * was pinned to, the URL and SHA-256 of every input file, the overlays, the
+ * scraper version and the effective configuration. The full record is
+ * written to provenance.json along with the SHA-256 of each output, which
+ * `verify` compares against a re-run from the same inputs, and the number of
+ * technologies in each file, which the next run checks for a sudden drop.
+ */
+
+const crypto = require('crypto');
+const { ConfigurationError } = require('./errors');
+const { name: SCRAPER_NAME, version: SCRAPER_VERSION } = require('../package.json');
+
+const PROVENANCE_FILE = 'provenance.json';
+const REVISION_PLACEHOLDER = '{revision}';
+
+// Largest share of technologies that may disappear between runs, in total and per file
+const DEFAULT_COUNT_CHECK = { maxDrop: 0.05, maxShardDrop: 0.25 };
+
+// Outputs that depend on the previous run, or hold the hashes themselves
+const UNTRACKED_OUTPUTS = new Set([PROVENANCE_FILE, 'changes.json', 'CHANGES.md']);
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function isCommitSha(revision) {
+  return typeof revision === 'string' && /^[0-9a-f]{40}$/i.test(revision);
+}
+
+/**
+ * Owner and repository of a raw.githubusercontent.com or github.com URL.
+ */
+function githubRepository(url) {
+  const match = /^https?:\/\/(?:raw\.githubusercontent\.com|github\.com)\/([^/]+)\/([^/]+)\//i.exec(url);
+  return match ? { owner: match[1], repo: match[2] } : null;
+}
+
+// Answers with the bare commit SHA when asked for application/vnd.github.sha
+function commitApiUrl({ owner, repo }, revision) {
+  const ref = revision.split('/').map(encodeURIComponent).join('/');
+  return `https://api.github.com/repos/${owner}/${repo}/commits/${ref}`;
+}
+
+/**
+ * Timestamp stamped into every output of a run. SOURCE_DATE_EPOCH (seconds
+ * since the epoch) pins it, as in other reproducible build tools.
+ */
+function buildTimestamp(env = process.env) {
+  const epoch = env.SOURCE_DATE_EPOCH;
+  if (epoch === undefined || epoch === '') {
+    return new Date().toISOString();
+  }
+  if (!/^\d+$/.test(epoch)) {
+    throw new ConfigurationError(`Invalid SOURCE_DATE_EPOCH "${epoch}": expected seconds since the epoch`);
+  }
+  return new Date(Number(epoch) * 1000).toISOString();
+}
+
+// JSON with sorted object keys, so equal configs hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+        .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// SHA-256 recorded as digests.config
+function digestConfig(config) {
+  return sha256(stableStringify(config));
+}
+
+/**
+ * Builds the provenance record of a run (everything but the output hashes).
+ * `source` is { type, spec, location, ref, revision }, `inputs` the files the
+ * source read, `missing` the files it failed to read and `overlays` the
+ * overlay files with their hashes.
+ */
+function createProvenance({ generatedAt, source, inputs, missing = [], overlays = [], config }) {
+  const inputList = [
+    ...inputs.map(({ path, sha256: hash }) => `${path} ${hash}`),
+    ...overlays.map(({ file, sha256: hash }) => `overlay:${file} ${hash}`)
+  ];
+
+  return {
+    generatedAt,
+    scraper: { name: SCRAPER_NAME, version: SCRAPER_VERSION, node: process.version },
+    source: { ...source, pinned: isCommitSha(source.revision) },
+    inputs,
+    missing,
+    overlays,
+    config,
+    digests: {
+      config: digestConfig(config),
+      inputs: sha256(inputList.join('\n'))
+    }
+  };
+}
+
+/**
+ * The short form of a record stamped into each JSON output as `provenance`.
+ */
+function provenanceStamp(provenance) {
+  return {
+    source: provenance.source.location,
+    revision: provenance.source.revision,
+    scraperVersion: provenance.scraper.version,
+    configSha256: provenance.digests.config,
+    inputsSha256: provenance.digests.inputs
+  };
+}
+
+/**
+ * Compares the technology counts of this run's files with those recorded in
+ * the previous provenance.json. Returns null when the previous run has no
+ * counts, otherwise the totals and every drop above `maxDrop` (all files) or
+ * `maxShardDrop` (any one file), as fractions.
+ */
+function compareTechnologyCounts(previousInputs, counts, { maxDrop, maxShardDrop } = DEFAULT_COUNT_CHECK) {
+  const before = new Map((previousInputs || [])
+      .filter(input => Number.isInteger(input.technologies))
+      .map(input => [input.path, input.technologies]));
+  if (before.size === 0) return null;
+
+  const sum = values => values.reduce((total, value) => total + value, 0);
+  const dropOf = (previous, current) => (previous > 0 ? Math.max(0, (previous - current) / previous) : 0);
+  const previous = sum(Array.from(before.values()));
+  const current = sum(Object.values(counts));
+  const violations = [];
+
+  if (dropOf(previous, current) > maxDrop) {
+    violations.push({ file: 'all files', previous, current, drop: dropOf(previous, current), limit: maxDrop });
+  }
+  before.forEach((count, file) => {
+    const now = counts[file] || 0;
+    if (dropOf(count, now) > maxShardDrop) {
+      violations.push({ file, previous: count, current: now, drop: dropOf(count, now), limit: maxShardDrop });
+    }
+  });
+
+  return { previous, current, violations };
+}
+
+/**
+ * Compares the recorded inputs with the ones a re-run read. Returns the paths
+ * whose content changed and those only one side has.
+ */
+function compareInputs(recorded, current) {
+  const key = entry => entry.path || `overlay:${entry.file}`;
+  const before = new Map(recorded.map(entry => [key(entry), entry.sha256]));
+  const after = new Map(current.map(entry => [key(entry), entry.sha256]));
+
+  return {
+    checked: before.size,
+    changed: Array.from(before.keys()).filter(name => after.has(name) && after.get(name) !== before.get(name)),
+    missing: Array.from(before.keys()).filter(name => !after.has(name)),
+    added: Array.from(after.keys()).filter(name => !before.has(name))
+  };
+}
+
+/**
+ * Compares every recorded output with the file on disk and the re-derived
+ * content (all as SHA-256). An output is identical when the file on disk is
+ * byte for byte what the re-run produced.
+ */
+function compareOutputs(recorded, onDisk, regenerated) {
+  const identical = [];
+  const different = [];
+
+  Object.keys(recorded).sort().forEach(file => {
+    const entry = {
+      file,
+      recorded: recorded[file],
+      onDisk: onDisk[file] || null,
+      regenerated: regenerated[file] || null
+    };
+    if (entry.onDisk && entry.onDisk === entry.regenerated) {
+      identical.push(file);
+      return;
+    }
+    entry.reason = !entry.onDisk ? 'missing from the output directory'
+      : !entry.regenerated ? 'not produced by the re-run'
+        : entry.onDisk !== entry.recorded ? 'modified after the build'
+          : 're-run produced different content';
+    different.push(entry);
+  });
+
+  return { identical, different };
+}
+
+module.exports = {
+  SCRAPER_VERSION,
+  PROVENANCE_FILE,
+  DEFAULT_COUNT_CHECK,
+  REVISION_PLACEHOLDER,
+  UNTRACKED_OUTPUTS,
+  sha256,
+  isCommitSha,
+  githubRepository,
+  commitApiUrl,
+  buildTimestamp,
+  digestConfig,
+  createProvenance,
+  provenanceStamp,
+  compareTechnologyCounts,
+  compareInputs,
+  compareOutputs
+};
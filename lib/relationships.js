@@ -0,0 +1,195 @@
+/**
+ * Technology Relationship Graph
+ *
+ * Resolves Wappalyzer's `implies`, `requires`, `requiresCategory` and
+ * `excludes` fields into a graph so privacy risk can be passed along implied
+ * technologies (e.g. a tag manager implying an analytics product).
+ */
+
+const { parsePattern } = require('./patterns');
+
+const REFERENCE_FIELDS = ['implies', 'requires', 'excludes'];
+
+class RelationshipGraph {
+  constructor(categories, technologies, options = {}) {
+    this.categories = categories || {};
+    this.technologies = technologies || {};
+    this.threatLevelOf = options.threatLevelOf || (() => 0);
+    this.nodes = new Map();
+    this.impliedByDirect = new Map();
+    this.danglingReferences = [];
+    this.cycles = [];
+    this.cache = new Map();
+
+    this.build();
+    this.findCycles();
+  }
+
+  build() {
+    Object.entries(this.technologies).forEach(([name, tech]) => {
+      if (!tech || typeof tech !== 'object') return;
+
+      const node = { implies: [], requires: [], requiresCategory: [], excludes: [] };
+
+      REFERENCE_FIELDS.forEach(field => {
+        toList(tech[field]).forEach(reference => {
+          const { regex, confidence } = parsePattern(reference);
+          const target = regex.trim();
+          if (!target) return;
+
+          if (!Object.prototype.hasOwnProperty.call(this.technologies, target)) {
+            this.danglingReferences.push({ technology: name, field, target });
+            return;
+          }
+
+          if (field === 'implies') {
+            node.implies.push({ name: target, confidence });
+            if (!this.impliedByDirect.has(target)) this.impliedByDirect.set(target, []);
+            this.impliedByDirect.get(target).push({ name, confidence });
+          } else {
+            node[field].push(target);
+          }
+        });
+      });
+
+      toList(tech.requiresCategory).forEach(categoryId => {
+        const id = Number(categoryId);
+        if (!this.categories[id]) {
+          this.danglingReferences.push({ technology: name, field: 'requiresCategory', target: categoryId });
+          return;
+        }
+        node.requiresCategory.push(id);
+      });
+
+      this.nodes.set(name, node);
+    });
+  }
+
+  findCycles() {
+    const state = new Map();
+    const seen = new Set();
+
+    const visit = (start) => {
+      const stack = [{ name: start, index: 0 }];
+      const path = [start];
+      state.set(start, 'active');
+
+      while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+        const edges = this.nodes.get(frame.name)?.implies || [];
+
+        if (frame.index >= edges.length) {
+          state.set(frame.name, 'done');
+          stack.pop();
+          path.pop();
+          continue;
+        }
+
+        const next = edges[frame.index++].name;
+        if (state.get(next) === 'active') {
+          const cycle = path.slice(path.indexOf(next));
+          const key = [...cycle].sort().join('\u0000');
+          if (!seen.has(key)) {
+            seen.add(key);
+            this.cycles.push([...cycle, next]);
+          }
+        } else if (!state.has(next)) {
+          state.set(next, 'active');
+          stack.push({ name: next, index: 0 });
+          path.push(next);
+        }
+      }
+    };
+
+    this.nodes.forEach((node, name) => {
+      if (!state.has(name)) visit(name);
+    });
+  }
+
+  // Breadth-first walk so each reachable technology gets its shortest chain;
+  // the visited set keeps cycles from looping forever
+  walk(start, edgesOf) {
+    const chains = [];
+    const visited = new Set([start]);
+    const queue = [{ name: start, path: [start], confidence: 100 }];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      (edgesOf(current.name) || []).forEach(edge => {
+        if (visited.has(edge.name)) return;
+        visited.add(edge.name);
+
+        const chain = {
+          name: edge.name,
+          path: [...current.path, edge.name],
+          confidence: Math.min(current.confidence, edge.confidence)
+        };
+        chains.push(chain);
+        queue.push(chain);
+      });
+    }
+
+    return chains;
+  }
+
+  resolve(name) {
+    if (this.cache.has(name)) return this.cache.get(name);
+
+    const node = this.nodes.get(name) || { implies: [], requires: [], requiresCategory: [], excludes: [] };
+    const implies = this.walk(name, current => this.nodes.get(current)?.implies);
+    const impliedBy = this.walk(name, current => this.impliedByDirect.get(current));
+
+    const threatLevel = this.threatLevelOf(name, this.technologies[name] || {});
+    let effectiveThreatLevel = threatLevel;
+    let riskInheritedFrom = null;
+
+    implies.forEach(chain => {
+      const impliedLevel = this.threatLevelOf(chain.name, this.technologies[chain.name] || {});
+      if (impliedLevel > effectiveThreatLevel) {
+        effectiveThreatLevel = impliedLevel;
+        riskInheritedFrom = chain.name;
+      }
+    });
+
+    const resolved = {
+      implies,
+      impliedBy,
+      requires: node.requires,
+      requiresCategory: node.requiresCategory,
+      excludes: node.excludes,
+      effectiveThreatLevel,
+      riskInheritedFrom
+    };
+
+    this.cache.set(name, resolved);
+    return resolved;
+  }
+
+  report(generatedAt = new Date().toISOString()) {
+    const byField = {};
+    this.danglingReferences.forEach(({ field }) => {
+      byField[field] = (byField[field] || 0) + 1;
+    });
+
+    return {
+      generatedAt,
+      summary: {
+        technologies: this.nodes.size,
+        impliesEdges: Array.from(this.nodes.values()).reduce((sum, node) => sum + node.implies.length, 0),
+        danglingReferences: this.danglingReferences.length,
+        cycles: this.cycles.length
+      },
+      danglingByField: byField,
+      danglingReferences: this.danglingReferences,
+      cycles: this.cycles
+    };
+  }
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list.filter(item => typeof item === 'string' || typeof item === 'number').map(String);
+}
+
+module.exports = RelationshipGraph;
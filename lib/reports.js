@@ -0,0 +1,82 @@
+/**
+ * Report Exports
+ *
+ * CSV exports of the privacy technologies and pattern datasets for
+ * spreadsheets. Which report formats a run writes is set by the
+ * `outputFormats` config option; the JSON datasets are always written.
+ */
+
+const OUTPUT_FORMATS = ['markdown', 'csv', 'html'];
+const DEFAULT_OUTPUT_FORMATS = ['markdown'];
+
+const join = list => (list || []).join('; ');
+
+const PRIVACY_TECHNOLOGY_COLUMNS = {
+  name: tech => tech.name,
+  riskLevel: tech => tech.riskLevel,
+  threatLevel: tech => tech.threatLevel,
+  score: tech => tech.score,
+  effectiveRiskLevel: tech => tech.effectiveRiskLevel,
+  riskInheritedFrom: tech => tech.riskInheritedFrom || '',
+  categories: tech => join(tech.categoryNames),
+  categoryIds: tech => join(tech.categories),
+  detectionMethods: tech => join(tech.detectionMethods),
+  cookies: tech => join(tech.cookies),
+  implies: tech => join(tech.implies),
+  saas: tech => tech.saas,
+  pricing: tech => join(tech.pricing),
+  website: tech => tech.website,
+  origin: tech => tech.origin,
+  description: tech => tech.description
+};
+
+const patternColumns = categoryName => ({
+  technology: entry => entry.technology,
+  type: entry => entry.type || '',
+  pattern: entry => entry.pattern,
+  regex: entry => entry.regex || '',
+  flags: entry => entry.flags || '',
+  valuePattern: entry => entry.valuePattern?.regex || '',
+  version: entry => entry.version,
+  confidence: entry => entry.confidence,
+  threatLevel: entry => entry.threatLevel,
+  categories: entry => join((entry.categories || []).map(categoryName)),
+  origin: entry => entry.origin || ''
+});
+
+/**
+ * Quotes a CSV cell (RFC 4180). Text starting with `=`, `+`, `-` or `@` is
+ * prefixed with `'` so spreadsheets don't evaluate it as a formula.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  const lines = [Object.keys(columns).join(',')];
+  rows.forEach(row => {
+    lines.push(Object.values(columns).map(column => csvCell(column(row))).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function privacyTechnologiesCsv(privacyTechnologies) {
+  return toCsv(privacyTechnologies, PRIVACY_TECHNOLOGY_COLUMNS);
+}
+
+function patternsCsv(patterns, categories = {}) {
+  return toCsv(patterns, patternColumns(id => categories[id]?.name || id));
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  DEFAULT_OUTPUT_FORMATS,
+  csvCell,
+  privacyTechnologiesCsv,
+  patternsCsv
+};
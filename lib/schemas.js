@@ -0,0 +1,703 @@
+/**
+ * Output Schemas
+ *
+ * JSON Schemas (draft-07) for every JSON file the scraper writes, plus the
+ * small validator used to check outputs before they are saved. The schemas
+ * are published to `<outputDir>/schemas/` so consumers can validate what they
+ * load; bump SCHEMA_VERSION whenever an output changes shape.
+ */
+
+const SCHEMA_VERSION = '1.12.0';
+
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const boolean = { type: 'boolean' };
+const timestamp = { type: 'string', minLength: 1 };
+const count = { type: 'integer', minimum: 0 };
+const stringList = { type: 'array', items: string };
+const integerList = { type: 'array', items: integer };
+const threatLevel = { type: 'integer', minimum: 0, maximum: 3 };
+const riskLevel = { enum: ['none', 'low', 'medium', 'high'] };
+// `upstream` or `overlay:<path relative to the config file>`
+const origin = { type: 'string', minLength: 1 };
+const patternList = { type: ['string', 'array'], items: string };
+const patternMap = { type: 'object', additionalProperties: { type: ['string', 'array'], items: string } };
+const sha256 = { type: 'string', minLength: 64, maxLength: 64 };
+const nullableString = { type: ['string', 'null'] };
+const severities = ['info', 'warning', 'error'];
+
+const object = (properties, required = Object.keys(properties), extra = {}) => ({
+  type: 'object',
+  properties,
+  required,
+  ...extra
+});
+
+const definitions = {
+  category: object({
+    name: string,
+    description: string,
+    priority: { type: 'number' },
+    groups: integerList
+  }, ['name']),
+
+  group: object({ name: string }),
+
+  technology: object({
+    cats: { type: 'array', items: integer, minItems: 1 },
+    description: string,
+    website: string,
+    cookies: patternMap,
+    js: patternMap,
+    headers: patternMap,
+    meta: patternMap,
+    dns: patternMap,
+    scriptSrc: patternList,
+    xhr: patternList,
+    html: patternList,
+    url: patternList,
+    implies: patternList,
+    requires: patternList,
+    excludes: patternList
+  }, ['cats']),
+
+  chain: object({
+    name: string,
+    path: stringList,
+    confidence: { type: 'number' }
+  }),
+
+  scoreBreakdown: object({
+    categories: { type: 'array', items: object({ id: integer, weight: { type: 'number' } }) },
+    base: { type: 'number' },
+    bonuses: { type: 'array', items: object({ vector: string, points: { type: 'number' } }) },
+    override: { type: ['object', 'null'] },
+    allowListed: boolean,
+    score: { type: 'number' },
+    riskLevel
+  }, ['score', 'riskLevel']),
+
+  patternEntry: object({
+    technology: string,
+    type: string,
+    pattern: string,
+    regex: { type: ['string', 'null'] },
+    flags: { type: ['string', 'null'] },
+    selector: string,
+    version: string,
+    confidence: { type: 'number', minimum: 0 },
+    valuePattern: {
+      type: ['object', 'null'],
+      properties: {
+        regex: string,
+        flags: string,
+        target: string,
+        name: { type: ['string', 'null'] }
+      },
+      required: ['regex', 'flags']
+    },
+    threatLevel,
+    categories: integerList,
+    description: string,
+    origin
+  }, ['technology', 'pattern', 'regex', 'flags', 'version', 'confidence', 'valuePattern', 'threatLevel', 'categories', 'description']),
+
+  consent: object({
+    purposes: { type: 'array', items: { enum: ['necessary', 'functional', 'analytics', 'marketing'] } },
+    primaryPurpose: { enum: ['necessary', 'functional', 'analytics', 'marketing', 'unclassified'] },
+    requiresConsent: boolean,
+    ccpaSaleOrShare: boolean,
+    tcfPurposes: { type: 'array', items: { type: 'integer', minimum: 1, maximum: 11 } },
+    tcfSpecialFeatures: { type: 'array', items: { type: 'integer', minimum: 1, maximum: 2 } },
+    source: { enum: ['category', 'override', 'inherited', 'none'] }
+  }),
+
+  consentSummary: object({
+    total: count,
+    byPurpose: { type: 'object', additionalProperties: count },
+    requiresConsent: count,
+    ccpaSaleOrShare: count,
+    tcfPurposes: { type: 'object', additionalProperties: count }
+  }),
+
+  lookupNames: object({
+    exact: { type: 'object', additionalProperties: integerList },
+    prefix: { type: 'object', additionalProperties: { type: 'array', items: { type: 'array', minItems: 2 } } },
+    regex: { type: 'array', items: { type: 'array', minItems: 4 } }
+  }),
+
+  trackerSummary: object({
+    technologies: count,
+    vendors: count,
+    hostnames: count,
+    domains: count,
+    candidatePatterns: count,
+    extractedPatterns: count,
+    unextractablePatterns: count,
+    unanchoredHostnames: count,
+    excludedHostnames: count
+  }),
+
+  // Full record in provenance.json; JSON object outputs carry provenanceStamp
+  provenance: object({
+    generatedAt: timestamp,
+    scraper: object({ name: string, version: string, node: string }),
+    source: object({
+      type: { enum: ['http', 'directory', 'archive'] },
+      spec: string,
+      location: string,
+      ref: nullableString,
+      revision: nullableString,
+      pinned: boolean
+    }),
+    inputs: {
+      type: 'array',
+      items: object({ path: string, url: string, sha256, bytes: count, technologies: count }, ['path', 'url', 'sha256', 'bytes'])
+    },
+    missing: stringList,
+    overlays: { type: 'array', items: object({ file: string, origin, sha256 }) },
+    config: { type: 'object' },
+    digests: object({ config: sha256, inputs: sha256 })
+  }),
+
+  extensionTechnology: object({
+    cats: integerList,
+    description: string,
+    threatLevel,
+    score: { type: 'number' },
+    effectiveThreatLevel: threatLevel,
+    implies: stringList,
+    requires: stringList,
+    requiresCategory: integerList,
+    excludes: stringList,
+    cookies: { type: 'object' },
+    js: { type: 'object' },
+    scriptSrc: patternList,
+    xhr: patternList,
+    dom: { type: ['string', 'array', 'object'] },
+    headers: { type: 'object' },
+    meta: { type: 'object' },
+    html: patternList,
+    url: patternList,
+    saas: boolean,
+    pricing: stringList,
+    origin
+  }),
+
+  provenanceStamp: object({
+    source: string,
+    revision: nullableString,
+    scraperVersion: string,
+    configSha256: sha256,
+    inputsSha256: sha256
+  }),
+
+  patternDiff: object({
+    added: { type: 'array', items: object({ technology: string, type: string, pattern: string }, ['technology', 'pattern']) },
+    removed: { type: 'array', items: object({ technology: string, type: string, pattern: string }, ['technology', 'pattern']) },
+    changed: {
+      type: 'array',
+      items: object({
+        technology: string,
+        type: string,
+        pattern: string,
+        fields: { type: 'object', additionalProperties: { type: 'object', required: ['from', 'to'] } }
+      }, ['technology', 'pattern', 'fields'])
+    }
+  })
+};
+
+const ref = name => ({ $ref: `#/definitions/${name}` });
+const patternDataset = { type: 'array', items: ref('patternEntry') };
+const typedPatternDataset = {
+  type: 'array',
+  items: { ...definitions.patternEntry, required: [...definitions.patternEntry.required, 'type'] }
+};
+
+const OUTPUT_SCHEMAS = {
+  'privacy-technologies.json': {
+    type: 'array',
+    items: object({
+      name: string,
+      description: string,
+      categories: integerList,
+      categoryNames: stringList,
+      threatLevel,
+      riskLevel,
+      score: { type: 'number' },
+      scoreBreakdown: ref('scoreBreakdown'),
+      effectiveThreatLevel: threatLevel,
+      effectiveRiskLevel: riskLevel,
+      riskInheritedFrom: { type: ['string', 'null'] },
+      implies: { type: 'array', items: ref('chain') },
+      impliedBy: { type: 'array', items: ref('chain') },
+      requires: stringList,
+      requiresCategory: integerList,
+      excludes: stringList,
+      detectionMethods: stringList,
+      cookies: stringList,
+      website: string,
+      pricing: stringList,
+      saas: boolean,
+      origin,
+      patchedBy: stringList
+    }, ['name', 'categories', 'threatLevel', 'riskLevel', 'effectiveThreatLevel', 'effectiveRiskLevel', 'detectionMethods', 'cookies'])
+  },
+
+  'cookie-patterns.json': patternDataset,
+  'javascript-patterns.json': patternDataset,
+  'header-patterns.json': patternDataset,
+  'meta-patterns.json': patternDataset,
+  'html-patterns.json': patternDataset,
+  'network-patterns.json': typedPatternDataset,
+  'additional-patterns.json': typedPatternDataset,
+
+  'invalid-patterns.json': object({
+    generatedAt: timestamp,
+    total: count,
+    byType: { type: 'object', additionalProperties: count },
+    patterns: { type: 'array', items: object({ technology: string, type: string, error: string, origin }) }
+  }),
+
+  'pattern-lint.json': object({
+    generatedAt: timestamp,
+    settings: object({ exclude: { enum: ['none', ...severities] }, minLiteralLength: count, ignore: stringList }),
+    summary: object({
+      patterns: count,
+      findings: count,
+      flagged: count,
+      excluded: count,
+      bySeverity: object(Object.fromEntries(severities.map(severity => [severity, count]))),
+      byRule: { type: 'object', additionalProperties: count },
+      byDataset: { type: 'object', additionalProperties: count }
+    }),
+    findings: {
+      type: 'array',
+      items: object({
+        rule: string,
+        severity: { enum: severities },
+        dataset: string,
+        type: string,
+        technologies: { type: 'array', items: string, minItems: 1 },
+        pattern: string,
+        part: { enum: ['regex', 'valuePattern'] },
+        regex: string,
+        message: string,
+        excluded: boolean
+      })
+    }
+  }),
+
+  'consent-classification.json': object({
+    generatedAt: timestamp,
+    purposes: { type: 'object', additionalProperties: string },
+    summary: object({ technologies: ref('consentSummary'), cookies: ref('consentSummary') }),
+    technologies: {
+      type: 'array',
+      items: {
+        allOf: [ref('consent'), object({ name: string, categories: stringList, riskLevel, origin })]
+      }
+    },
+    cookies: {
+      type: 'array',
+      items: {
+        allOf: [ref('consent'), object({ technology: string, cookie: string, regex: string, flags: string, origin })]
+      }
+    }
+  }),
+
+  'quarantine.json': object({
+    generatedAt: timestamp,
+    summary: object({ rejected: count, coerced: count, byKind: { type: 'object' } }),
+    entries: {
+      type: 'array',
+      items: object({
+        kind: { enum: ['technology', 'category', 'group'] },
+        name: string,
+        action: { enum: ['rejected', 'coerced'] },
+        field: { type: ['string', 'null'] },
+        reason: string,
+        origin
+      })
+    }
+  }),
+
+  'complete-database.json': object({
+    categories: { type: 'object', additionalProperties: ref('category') },
+    groups: { type: 'object', additionalProperties: ref('group') },
+    technologies: { type: 'object', additionalProperties: ref('technology') },
+    origins: { type: 'object', additionalProperties: origin },
+    overlays: {
+      type: 'array',
+      items: object({
+        file: string,
+        origin,
+        added: stringList,
+        patched: stringList,
+        replaced: stringList,
+        removed: stringList,
+        missing: stringList
+      })
+    },
+    metadata: object({
+      totalTechnologies: count,
+      privacyTechnologies: count,
+      generatedAt: timestamp,
+      version: string,
+      provenance: ref('provenance')
+    }, ['totalTechnologies', 'privacyTechnologies', 'generatedAt', 'version'])
+  }),
+
+  'extension-database.json': object({
+    version: string,
+    generatedAt: timestamp,
+    categories: { type: 'object', additionalProperties: ref('category') },
+    privacyCategories: integerList,
+    technologies: { type: 'object', additionalProperties: ref('extensionTechnology') }
+  }),
+
+  'extension-shard.json': object({
+    shard: string,
+    shardBy: { enum: ['category', 'letter'] },
+    technologies: { type: 'object', additionalProperties: ref('extensionTechnology') }
+  }),
+
+  'extension-manifest.json': object({
+    version: string,
+    generatedAt: timestamp,
+    categories: { type: 'object', additionalProperties: ref('category') },
+    privacyCategories: integerList,
+    shardBy: { enum: ['category', 'letter'] },
+    technologies: count,
+    shards: {
+      type: 'array',
+      items: object({
+        key: string,
+        technologies: count,
+        file: string,
+        bytes: count,
+        sha256,
+        compressed: { type: 'object', additionalProperties: object({ file: string, bytes: count, sha256 }) }
+      })
+    }
+  }),
+
+  'relationships-report.json': object({
+    generatedAt: timestamp,
+    summary: object({ technologies: count, impliesEdges: count, danglingReferences: count, cycles: count }),
+    danglingByField: { type: 'object', additionalProperties: count },
+    danglingReferences: {
+      type: 'array',
+      items: object({ technology: string, field: string, target: { type: ['string', 'number'] }, origin })
+    },
+    cycles: { type: 'array', items: stringList }
+  }),
+
+  // Tuples: technologies are [name, threatLevel, origin], prefixes [prefix, technologyId]
+  // and regexes [regex, flags, technologyId] (plus the name pattern for cookies and js)
+  'lookup-index.json': object({
+    version: { type: 'integer', minimum: 1 },
+    generatedAt: timestamp,
+    technologies: { type: 'array', items: { type: 'array', minItems: 3 } },
+    cookies: ref('lookupNames'),
+    js: ref('lookupNames'),
+    hosts: { type: 'object', additionalProperties: { type: 'array', items: { type: 'array', minItems: 3 } } },
+    urls: { type: 'array', items: { type: 'array', minItems: 3 } },
+    stats: { type: 'object', additionalProperties: count }
+  }),
+
+  'dnr-rules.json': {
+    type: 'array',
+    items: object({
+      id: { type: 'integer', minimum: 1 },
+      priority: { type: 'integer', minimum: 1 },
+      action: object({ type: string }),
+      condition: { type: 'object' }
+    })
+  },
+
+  'dnr-rules-map.json': {
+    type: 'object',
+    additionalProperties: object({
+      technologies: stringList,
+      categories: stringList,
+      riskLevel,
+      pattern: string,
+      origins: stringList
+    })
+  },
+
+  'blocklist-report.json': object({
+    generatedAt: timestamp,
+    riskLevel,
+    technologies: count,
+    candidatePatterns: count,
+    abpFilters: count,
+    dnrRules: count,
+    dnrRegexRules: count,
+    limits: { type: 'object' },
+    untranslatable: {
+      type: 'array',
+      items: object({ technology: string, type: string, pattern: string, target: string, reason: string })
+    }
+  }),
+
+  'tracker-domains.json': object({
+    generatedAt: timestamp,
+    riskLevel,
+    summary: ref('trackerSummary'),
+    domains: {
+      type: 'array',
+      items: object({
+        domain: string,
+        hostnames: stringList,
+        technologies: stringList,
+        vendors: stringList,
+        categories: stringList,
+        riskLevel,
+        threatLevel,
+        origins: stringList
+      })
+    },
+    vendors: {
+      type: 'array',
+      items: object({
+        vendor: string,
+        website: string,
+        technologies: stringList,
+        domains: stringList,
+        hostnames: stringList,
+        riskLevel,
+        threatLevel
+      })
+    },
+    technologies: {
+      type: 'array',
+      items: object({ name: string, vendor: string, riskLevel, categories: stringList, hostnames: stringList, domains: stringList })
+    }
+  }),
+
+  'tracker-domains-report.json': object({
+    generatedAt: timestamp,
+    riskLevel,
+    summary: ref('trackerSummary'),
+    exclude: stringList,
+    unextractable: {
+      type: 'array',
+      items: object({ technology: string, type: string, pattern: string, regex: string, reason: string, origin })
+    },
+    unanchored: {
+      type: 'array',
+      items: object({ technology: string, hostname: string, pattern: string, reason: string, origin })
+    },
+    excluded: {
+      type: 'array',
+      items: object({ technology: string, hostname: string, pattern: string, reason: string })
+    }
+  }),
+
+  'summary-report.json': object({
+    summary: object({
+      totalTechnologies: count,
+      privacyRelatedTechnologies: count,
+      privacyPercentage: string
+    }),
+    riskDistribution: object({ high: count, medium: count, low: count, inherited: count }),
+    categoryBreakdown: { type: 'object', additionalProperties: count },
+    origins: { type: 'object', additionalProperties: count },
+    overlays: {
+      type: 'array',
+      items: object({ origin, added: count, patched: count, replaced: count, removed: count })
+    },
+    topThreats: {
+      type: 'array',
+      items: object({
+        name: string,
+        threatLevel,
+        riskLevel,
+        origin,
+        score: { type: 'number' },
+        categories: stringList,
+        scoreBreakdown: ref('scoreBreakdown')
+      }, ['name', 'threatLevel', 'riskLevel', 'categories'])
+    },
+    consentCoverage: {
+      type: ['object', 'null'],
+      properties: { technologies: ref('consentSummary'), cookies: ref('consentSummary') }
+    },
+    scoringModel: { type: ['object', 'null'] },
+    scoreBreakdowns: { type: 'object', additionalProperties: ref('scoreBreakdown') },
+    detectionMethodStats: { type: 'object', additionalProperties: { type: ['integer', 'object'] } }
+  }),
+
+  'provenance.json': {
+    allOf: [
+      ref('provenance'),
+      object({ outputs: { type: 'object', additionalProperties: sha256 } })
+    ]
+  },
+
+  'changes.json': object({
+    generatedAt: timestamp,
+    previous: { type: ['string', 'null'] },
+    current: { type: ['string', 'null'] },
+    summary: object({
+      addedTechnologies: count,
+      removedTechnologies: count,
+      riskChanges: count,
+      addedPatterns: count,
+      removedPatterns: count,
+      changedPatterns: count,
+      categoryChanges: count,
+      total: count
+    }),
+    technologies: object({
+      added: { type: 'array', items: object({ name: string, riskLevel }) },
+      removed: { type: 'array', items: object({ name: string, riskLevel }) },
+      riskChanges: { type: 'array', items: object({ name: string, from: riskLevel, to: riskLevel }) }
+    }),
+    patterns: { type: 'object', additionalProperties: ref('patternDiff') },
+    categories: object({
+      added: { type: 'array' },
+      removed: { type: 'array' },
+      renamed: { type: 'array' },
+      renumbered: { type: 'array' }
+    })
+  }),
+
+  // Per-site HAR audit reports (<outputDir>/audits/<site>.json)
+  'audit-report.json': object({
+    harFile: string,
+    site: string,
+    pageUrls: stringList,
+    generatedAt: timestamp,
+    summary: object({
+      requests: count,
+      firstPartyRequests: count,
+      thirdPartyRequests: count,
+      cookiesObserved: count,
+      trackers: count,
+      firstPartyTrackers: count,
+      thirdPartyTrackers: count
+    }),
+    riskDistribution: object({ high: count, medium: count, low: count }),
+    trackers: {
+      type: 'array',
+      items: object({
+        name: string,
+        categories: stringList,
+        threatLevel,
+        riskLevel,
+        confidence: { type: 'number' },
+        version: string,
+        firstParty: boolean,
+        thirdParty: boolean,
+        triggers: {
+          type: 'array',
+          items: object({ type: string, pattern: string, request: string, party: { enum: ['first', 'third'] } })
+        }
+      })
+    }
+  }, ['site', 'pageUrls', 'generatedAt', 'summary', 'riskDistribution', 'trackers'])
+};
+
+/**
+ * Returns the published schema for an output file, or null when the file has
+ * no schema (text outputs and custom datasets).
+ */
+function schemaFor(filename) {
+  const schema = OUTPUT_SCHEMAS[filename];
+  if (!schema) return null;
+
+  const name = filename.replace(/\.json$/, '');
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `wappalyzer-privacy-scraper/schemas/${SCHEMA_VERSION}/${name}.schema.json`,
+    title: filename,
+    version: SCHEMA_VERSION,
+    ...schema,
+    definitions
+  };
+}
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value),
+  null: value => value === null
+};
+
+/**
+ * Validates `data` against the subset of JSON Schema used above (allOf, type,
+ * enum, properties, required, additionalProperties, items, minItems, minimum,
+ * maximum, minLength, maxLength and local $refs). Returns at most `limit` error strings.
+ */
+function validateAgainstSchema(schema, data, limit = 10) {
+  const errors = [];
+  const root = schema;
+
+  const check = (node, value, at) => {
+    if (errors.length >= limit) return;
+    if (node.$ref) {
+      node = root.definitions[node.$ref.replace('#/definitions/', '')];
+    }
+
+    const fail = message => errors.push(`${at || '(root)'}: ${message}`);
+
+    if (node.allOf) {
+      node.allOf.forEach(part => check(part, value, at));
+    }
+    if (node.enum && !node.enum.includes(value)) {
+      fail(`expected one of ${node.enum.join(', ')}, got ${JSON.stringify(value)}`);
+      return;
+    }
+    if (node.type) {
+      const types = [].concat(node.type);
+      if (!types.some(type => TYPE_CHECKS[type](value))) {
+        fail(`expected ${types.join(' or ')}, got ${value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value}`);
+        return;
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (node.minimum !== undefined && value < node.minimum) fail(`expected >= ${node.minimum}, got ${value}`);
+      if (node.maximum !== undefined && value > node.maximum) fail(`expected <= ${node.maximum}, got ${value}`);
+    }
+    if (typeof value === 'string' && node.minLength !== undefined && value.length < node.minLength) {
+      fail(`expected at least ${node.minLength} characters`);
+    }
+    if (typeof value === 'string' && node.maxLength !== undefined && value.length > node.maxLength) {
+      fail(`expected at most ${node.maxLength} characters`);
+    }
+
+    if (Array.isArray(value)) {
+      if (node.minItems !== undefined && value.length < node.minItems) fail(`expected at least ${node.minItems} items`);
+      if (node.items) value.forEach((item, i) => check(node.items, item, `${at}[${i}]`));
+    } else if (TYPE_CHECKS.object(value)) {
+      (node.required || []).forEach(key => {
+        if (!(key in value)) fail(`missing required property "${key}"`);
+      });
+      Object.entries(value).forEach(([key, child]) => {
+        const path = at ? `${at}.${key}` : key;
+        if (node.properties && node.properties[key]) {
+          check(node.properties[key], child, path);
+        } else if (node.additionalProperties && typeof node.additionalProperties === 'object') {
+          check(node.additionalProperties, child, path);
+        }
+      });
+    }
+  };
+
+  check(schema, data, '');
+  return errors;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  OUTPUT_SCHEMAS,
+  schemaFor,
+  validateAgainstSchema
+};
@@ -0,0 +1,159 @@
+/**
+ * Threat Scoring Model
+ *
+ * Scores a technology from weighted categories plus bonuses for the ways it
+ * can track users (cookies, fingerprinting JavaScript, cross-site requests),
+ * then maps the score onto a risk level. Per-technology overrides and an
+ * allow-list take precedence over the computed score.
+ *
+ * Any object with a `score(name, tech)` method returning the same shape can
+ * be passed to WappalyzerScraper as `options.scoringModel` instead.
+ */
+
+const { parsePattern } = require('./patterns');
+const { hostnameOf, registrableDomain, hostnameFromPattern } = require('./domains');
+
+const THREAT_LEVELS = { none: 0, low: 1, medium: 2, high: 3 };
+
+const DEFAULT_FINGERPRINTING_HINTS = ['fingerprint', 'fpjs', 'clientjs', 'evercookie', 'canvas', 'webgl', 'audiocontext'];
+
+class ThreatScoringModel {
+  /**
+   * Without a `scoring` config block the model reproduces the category-only
+   * rating: high-risk categories score 60, medium 30, other privacy ones 10.
+   */
+  constructor(scoring = {}, legacy = {}) {
+    const privacyCategories = legacy.privacyCategories || [];
+    const highRiskCategories = new Set(legacy.highRiskCategories || []);
+    const mediumRiskCategories = new Set(legacy.mediumRiskCategories || []);
+
+    const defaultWeights = {};
+    privacyCategories.forEach(id => {
+      defaultWeights[id] = highRiskCategories.has(id) ? 60 : mediumRiskCategories.has(id) ? 30 : 10;
+    });
+
+    this.categoryWeights = normalizeWeights(scoring.categoryWeights || defaultWeights);
+    this.additionalCategoryFactor = scoring.additionalCategoryFactor || 0;
+    this.vectorBonuses = {
+      cookies: 0,
+      fingerprinting: 0,
+      crossSiteXhr: 0,
+      ...(scoring.vectorBonuses || {})
+    };
+    this.fingerprintingHints = (scoring.fingerprintingHints || DEFAULT_FINGERPRINTING_HINTS)
+        .map(hint => String(hint).toLowerCase());
+    this.overrides = scoring.overrides || {};
+    this.allowList = new Set(scoring.allowList || []);
+    this.riskThresholds = { high: 60, medium: 30, low: 1, ...(scoring.riskThresholds || {}) };
+  }
+
+  score(name, tech = {}) {
+    const cats = Array.isArray(tech.cats) ? tech.cats.filter(cat => typeof cat === 'number') : [];
+
+    const categories = cats
+        .filter(cat => this.categoryWeights[cat] !== undefined)
+        .map(cat => ({ id: cat, weight: this.categoryWeights[cat] }))
+        .sort((a, b) => b.weight - a.weight);
+
+    // The heaviest category sets the base; others add a fraction of their weight
+    const base = categories.reduce((sum, category, index) =>
+      sum + (index === 0 ? category.weight : category.weight * this.additionalCategoryFactor), 0);
+
+    // Vector bonuses only raise technologies that are privacy-relevant already
+    const bonuses = base > 0 ? this.detectVectors(tech)
+        .filter(vector => this.vectorBonuses[vector])
+        .map(vector => ({ vector, points: this.vectorBonuses[vector] })) : [];
+
+    let score = Math.round(base + bonuses.reduce((sum, bonus) => sum + bonus.points, 0));
+    let riskLevel = this.riskLevelForScore(score);
+    const override = this.overrides[name] || null;
+    const allowListed = this.allowList.has(name);
+
+    if (override) {
+      if (typeof override.bonus === 'number') score += override.bonus;
+      if (typeof override.score === 'number') score = override.score;
+      riskLevel = THREAT_LEVELS[override.riskLevel] !== undefined
+        ? override.riskLevel
+        : this.riskLevelForScore(score);
+    }
+
+    if (allowListed) {
+      score = 0;
+      riskLevel = 'none';
+    }
+
+    return {
+      score,
+      threatLevel: THREAT_LEVELS[riskLevel],
+      riskLevel,
+      breakdown: {
+        categories,
+        base: Math.round(base),
+        bonuses,
+        override,
+        allowListed,
+        score,
+        riskLevel
+      }
+    };
+  }
+
+  detectVectors(tech) {
+    const vectors = [];
+
+    if (tech.cookies && (typeof tech.cookies !== 'object' || Object.keys(tech.cookies).length > 0)) {
+      vectors.push('cookies');
+    }
+
+    const scriptNames = [
+      ...(tech.js && typeof tech.js === 'object' ? Object.keys(tech.js) : []),
+      ...[].concat(tech.scriptSrc || []).filter(pattern => typeof pattern === 'string')
+    ].map(value => value.toLowerCase());
+    if (scriptNames.some(value => this.fingerprintingHints.some(hint => value.includes(hint)))) {
+      vectors.push('fingerprinting');
+    }
+
+    // Only requests to a host outside the technology's own site are cross-site
+    const site = registrableDomain(hostnameOf(String(tech.website || '')));
+    const crossSite = [].concat(tech.xhr || []).filter(pattern => typeof pattern === 'string').some(pattern => {
+      const hostname = hostnameFromPattern(parsePattern(pattern).regex);
+      return Boolean(site && hostname) && registrableDomain(hostname) !== site;
+    });
+    if (crossSite) {
+      vectors.push('crossSiteXhr');
+    }
+
+    return vectors;
+  }
+
+  riskLevelForScore(score) {
+    if (score >= this.riskThresholds.high) return 'high';
+    if (score >= this.riskThresholds.medium) return 'medium';
+    if (score >= this.riskThresholds.low) return 'low';
+    return 'none';
+  }
+
+  describe() {
+    return {
+      categoryWeights: this.categoryWeights,
+      additionalCategoryFactor: this.additionalCategoryFactor,
+      vectorBonuses: this.vectorBonuses,
+      riskThresholds: this.riskThresholds,
+      overrides: Object.keys(this.overrides),
+      allowList: Array.from(this.allowList)
+    };
+  }
+}
+
+function normalizeWeights(weights) {
+  const normalized = {};
+  Object.entries(weights).forEach(([id, weight]) => {
+    if (typeof weight === 'number') normalized[Number(id)] = weight;
+  });
+  return normalized;
+}
+
+module.exports = {
+  THREAT_LEVELS,
+  ThreatScoringModel
+};
@@ -0,0 +1,253 @@
+/**
+ * Dataset Query Server
+ *
+ * Small read-only HTTP API over a generated output directory, so tools can
+ * filter technologies and look up cookies or URLs without loading the JSON
+ * files themselves. Responses carry an ETag, and the datasets are reloaded
+ * when the scraper rewrites the directory.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const { LookupIndex } = require('./lookup');
+const { THREAT_LEVELS } = require('./scoring');
+const { PATTERN_FILES, DETECTION_METHODS, filterTechnologies } = require('./explorer');
+
+// Wait for the scraper to finish writing before reloading
+const RELOAD_DELAY = 1000;
+const DEFAULT_LIMIT = 100;
+
+const ENDPOINTS = {
+  'GET /': 'This list and the loaded datasets',
+  'GET /technologies': 'Privacy technologies, filtered by risk, category, method and saas (limit, offset)',
+  'GET /technologies/:name': 'One technology with all its detection patterns',
+  'GET /lookup': 'Technologies matching cookie, js and url query parameters (repeatable)',
+  'GET /summary': 'summary-report.json'
+};
+
+class DatasetServer {
+  constructor(outputDir, { log = () => {}, warn = () => {}, getRiskLevel = null } = {}) {
+    this.outputDir = outputDir;
+    this.log = log;
+    this.warn = warn;
+    this.getRiskLevel = getRiskLevel;
+    this.data = null;
+    this.server = null;
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  readJson(filename, optional = false) {
+    const filepath = path.join(this.outputDir, filename);
+    if (optional && !fs.existsSync(filepath)) return null;
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  }
+
+  /**
+   * Loads every dataset before swapping them in, so a failed reload keeps
+   * serving the previous data.
+   */
+  load() {
+    const technologies = this.readJson('privacy-technologies.json');
+    const patterns = new Map();
+
+    Object.entries(PATTERN_FILES).forEach(([field, filename]) => {
+      (this.readJson(filename, true) || []).forEach(entry => {
+        if (!patterns.has(entry.technology)) patterns.set(entry.technology, {});
+        const byField = patterns.get(entry.technology);
+        (byField[field] = byField[field] || []).push(entry);
+      });
+    });
+
+    const lookupIndex = this.readJson('lookup-index.json', true);
+    const summary = this.readJson('summary-report.json', true);
+
+    this.data = {
+      technologies,
+      byName: new Map(technologies.map(tech => [tech.name.toLowerCase(), tech])),
+      patterns,
+      lookup: lookupIndex ? new LookupIndex(lookupIndex, { getRiskLevel: this.getRiskLevel }) : null,
+      summary,
+      loadedAt: new Date().toISOString(),
+      generatedAt: fs.statSync(path.join(this.outputDir, 'privacy-technologies.json')).mtime.toISOString()
+    };
+    this.log(`📚 Loaded ${technologies.length} privacy technologies from ${this.outputDir}`);
+    return this.data;
+  }
+
+  reload() {
+    try {
+      this.load();
+    } catch (error) {
+      this.warn(`Reload failed, still serving the previous data: ${error.message}`, { type: 'reload', error });
+    }
+  }
+
+  watch() {
+    try {
+      this.watcher = fs.watch(this.outputDir, (event, filename) => {
+        if (filename && !filename.endsWith('.json')) return;
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.reload(), RELOAD_DELAY);
+      });
+    } catch (error) {
+      this.warn(`Cannot watch ${this.outputDir}, automatic reload is disabled: ${error.message}`, { type: 'watch', error });
+    }
+  }
+
+  /**
+   * Loads the datasets and starts listening; resolves to the bound address.
+   */
+  listen({ port = 8080, host = '127.0.0.1' } = {}) {
+    this.load();
+    this.watch();
+    this.server = http.createServer((req, res) => this.handle(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        this.log(`🌍 Serving ${this.outputDir} on http://${address.address}:${address.port}`);
+        resolve(address);
+      });
+    });
+  }
+
+  close() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) this.watcher.close();
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  handle(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      this.send(req, res, 405, { error: 'Method not allowed' }, { Allow: 'GET, HEAD' });
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const query = url.searchParams;
+
+    try {
+      const [resource, name, ...rest] = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+      if (!resource) {
+        this.send(req, res, 200, this.describe());
+      } else if (resource === 'technologies' && !name) {
+        this.send(req, res, 200, this.listTechnologies(query));
+      } else if (resource === 'technologies' && rest.length === 0) {
+        const technology = this.getTechnology(name);
+        this.send(req, res, technology ? 200 : 404, technology || { error: `Unknown technology: ${name}` });
+      } else if (resource === 'lookup' && !name) {
+        this.sendLookup(req, res, query);
+      } else if (resource === 'summary' && !name) {
+        const { summary } = this.data;
+        this.send(req, res, summary ? 200 : 404, summary || { error: 'summary-report.json has not been generated' });
+      } else {
+        this.send(req, res, 404, { error: `Not found: ${url.pathname}`, endpoints: ENDPOINTS });
+      }
+    } catch (error) {
+      this.send(req, res, 400, { error: error.message });
+    }
+  }
+
+  describe() {
+    return {
+      outputDir: path.resolve(this.outputDir),
+      generatedAt: this.data.generatedAt,
+      loadedAt: this.data.loadedAt,
+      technologies: this.data.technologies.length,
+      lookup: Boolean(this.data.lookup),
+      endpoints: ENDPOINTS
+    };
+  }
+
+  listTechnologies(query) {
+    const saas = query.get('saas');
+    if (saas !== null && saas !== 'true' && saas !== 'false') {
+      throw new Error('saas must be true or false');
+    }
+    // Unknown values would silently match nothing
+    checkValues(query.getAll('risk'), Object.keys(THREAT_LEVELS), 'risk');
+    checkValues(query.getAll('method'), DETECTION_METHODS, 'method');
+
+    const limit = toCount(query.get('limit'), DEFAULT_LIMIT, 'limit');
+    const offset = toCount(query.get('offset'), 0, 'offset');
+
+    const matches = filterTechnologies(this.data.technologies, {
+      risk: query.getAll('risk'),
+      category: query.getAll('category'),
+      method: query.getAll('method'),
+      saas: saas === null ? null : saas === 'true'
+    });
+
+    return {
+      total: matches.length,
+      offset,
+      limit,
+      technologies: matches.slice(offset, offset + limit)
+    };
+  }
+
+  getTechnology(name) {
+    const tech = this.data.byName.get(name.toLowerCase());
+    if (!tech) return null;
+    return { ...tech, patterns: this.data.patterns.get(tech.name) || {} };
+  }
+
+  sendLookup(req, res, query) {
+    if (!this.data.lookup) {
+      this.send(req, res, 404, { error: 'lookup-index.json has not been generated' });
+      return;
+    }
+
+    const cookie = query.getAll('cookie');
+    const jsGlobal = query.getAll('js');
+    const url = query.getAll('url');
+    if (cookie.length + jsGlobal.length + url.length === 0) {
+      throw new Error('Pass at least one cookie, js or url query parameter');
+    }
+    this.send(req, res, 200, { query: { cookie, js: jsGlobal, url }, results: this.data.lookup.lookup({ cookie, jsGlobal, url }) });
+  }
+
+  send(req, res, status, data, headers = {}) {
+    const body = JSON.stringify(data, null, 2);
+    const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+    const common = { ETag: etag, 'Cache-Control': 'no-cache', ...headers };
+
+    const ifNoneMatch = (req.headers['if-none-match'] || '').split(',').map(value => value.trim());
+    if (status === 200 && ifNoneMatch.includes(etag)) {
+      res.writeHead(304, common);
+      res.end();
+      return;
+    }
+
+    res.writeHead(status, {
+      ...common,
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  }
+}
+
+function checkValues(values, known, name) {
+  const allowed = known.map(value => value.toLowerCase());
+  const unknown = values.flatMap(value => value.split(','))
+      .map(value => value.trim())
+      .filter(value => value && !allowed.includes(value.toLowerCase()));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ${name} ${unknown.map(value => `"${value}"`).join(', ')}; expected one of ${known.join(', ')}`);
+  }
+}
+
+function toCount(value, fallback, name) {
+  if (value === null) return fallback;
+  if (!/^\d+$/.test(value)) throw new Error(`${name} must be a non-negative integer`);
+  return Number(value);
+}
+
+module.exports = {
+  DatasetServer
+};
@@ -0,0 +1,295 @@
+/**
+ * Wappalyzer Data Sources
+ *
+ * Abstracts where the upstream `src/` layout (categories.json, groups.json and
+ * technologies/*.json) is read from: the GitHub raw endpoint, a local checkout,
+ * or a .tar.gz/.zip archive of the upstream tree. Every source records the
+ * location and SHA-256 of each file it reads for provenance.json.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { fileURLToPath } = require('url');
+const { SourceError, ValidationError } = require('./errors');
+
+class Source {
+  constructor(type) {
+    this.type = type;
+    this.files = new Map();
+  }
+
+  async readJson(relativePath) {
+    const text = await this.readText(relativePath);
+    this.files.set(relativePath, {
+      path: relativePath,
+      url: this.resolve(relativePath),
+      sha256: crypto.createHash('sha256').update(text).digest('hex'),
+      bytes: Buffer.byteLength(text)
+    });
+    return parseJsonObject(text, this.resolve(relativePath));
+  }
+
+  /**
+   * Files read so far, sorted by path: [{ path, url, sha256, bytes }]
+   */
+  inputs() {
+    return Array.from(this.files.values()).sort((a, b) => a.path.localeCompare(b.path));
+  }
+}
+
+class HttpSource extends Source {
+  constructor(baseUrl, fetchText) {
+    super('http');
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.fetchText = fetchText;
+  }
+
+  describe() {
+    return this.baseUrl;
+  }
+
+  resolve(relativePath) {
+    return `${this.baseUrl}/${relativePath}`;
+  }
+
+  async readText(relativePath) {
+    return this.fetchText(this.resolve(relativePath));
+  }
+}
+
+class DirectorySource extends Source {
+  constructor(dir, log = () => {}) {
+    super('directory');
+    this.dir = path.resolve(dir);
+    this.log = log;
+  }
+
+  describe() {
+    return this.dir;
+  }
+
+  resolve(relativePath) {
+    return path.join(this.dir, ...relativePath.split('/'));
+  }
+
+  async readText(relativePath) {
+    const filepath = this.resolve(relativePath);
+    this.log(`Reading: ${filepath}`);
+
+    try {
+      return await fs.readFile(filepath, 'utf8');
+    } catch (error) {
+      throw new SourceError(`Could not read ${filepath}: ${error.message}`, { url: filepath, cause: error });
+    }
+  }
+}
+
+class ArchiveSource extends Source {
+  constructor(archivePath, log = () => {}) {
+    super('archive');
+    this.archivePath = path.resolve(archivePath);
+    this.log = log;
+    this.entries = null;
+    this.root = null;
+  }
+
+  describe() {
+    return this.archivePath;
+  }
+
+  resolve(relativePath) {
+    return `${this.archivePath}!/${this.root || ''}${relativePath}`;
+  }
+
+  async load() {
+    if (this.entries) return;
+
+    this.log(`📦 Extracting: ${this.archivePath}`);
+    try {
+      const buffer = await fs.readFile(this.archivePath);
+      this.entries = isZip(buffer) ? readZipEntries(buffer) : readTarEntries(zlib.gunzipSync(buffer));
+    } catch (error) {
+      throw new SourceError(`Could not extract ${this.archivePath}: ${error.message}`, { url: this.archivePath, cause: error });
+    }
+    this.root = findSourceRoot(this.entries);
+
+    if (this.root === null) {
+      throw new SourceError(`No Wappalyzer src/ layout (categories.json + technologies/) found in ${this.archivePath}`, {
+        url: this.archivePath
+      });
+    }
+  }
+
+  async readText(relativePath) {
+    await this.load();
+    const entry = this.entries.get(`${this.root}${relativePath}`);
+    if (!entry) {
+      throw new SourceError(`${relativePath} not found in ${this.archivePath}`, { url: this.resolve(relativePath) });
+    }
+    this.log(`Reading: ${this.resolve(relativePath)}`);
+    return entry.toString('utf8');
+  }
+}
+
+/**
+ * Builds a source from a spec string: an http(s) URL, a file:// URL, a
+ * directory path or an archive path (.tar.gz, .tgz or .zip).
+ */
+async function createSource(spec, { fetchText, log } = {}) {
+  if (/^https?:\/\//i.test(spec)) {
+    return new HttpSource(spec, fetchText);
+  }
+
+  const localPath = /^file:/i.test(spec) ? fileURLToPath(spec) : spec;
+  let stat;
+  try {
+    stat = await fs.stat(localPath);
+  } catch (error) {
+    throw new SourceError(`Source not found: ${localPath}`, { url: localPath, cause: error });
+  }
+
+  if (stat.isDirectory()) {
+    return new DirectorySource(localPath, log);
+  }
+  if (/\.(tar\.gz|tgz|zip)$/i.test(localPath)) {
+    return new ArchiveSource(localPath, log);
+  }
+  throw new SourceError(`Unsupported source: ${spec} (expected a directory, .tar.gz/.tgz or .zip archive)`, { url: spec });
+}
+
+function parseJsonObject(text, location) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new ValidationError(`Invalid JSON in ${location}: ${error.message}`, { url: location });
+  }
+  if (!data || typeof data !== 'object') {
+    throw new ValidationError(`Invalid JSON in ${location}: not an object`, { url: location });
+  }
+  return data;
+}
+
+function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+}
+
+function findSourceRoot(entries) {
+  const candidates = [];
+  for (const name of entries.keys()) {
+    if (!name.endsWith('categories.json')) continue;
+    const root = name.slice(0, -'categories.json'.length);
+    if (root && !root.endsWith('/')) continue;
+    if (entries.has(`${root}technologies/a.json`)) {
+      candidates.push(root);
+    }
+  }
+  // Prefer the shallowest match so nested fixtures don't shadow the real tree
+  candidates.sort((a, b) => a.length - b.length);
+  return candidates.length > 0 ? candidates[0] : null;
+}
+
+function readTarEntries(buffer) {
+  const entries = new Map();
+  let offset = 0;
+  let longName = null;
+
+  while (offset + 512 <= buffer.length) {
+    const header = buffer.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) break;
+
+    const readString = (start, length) => {
+      const field = header.subarray(start, start + length);
+      const end = field.indexOf(0);
+      return field.subarray(0, end === -1 ? length : end).toString('utf8');
+    };
+
+    const size = parseInt(readString(124, 12).trim() || '0', 8);
+    const type = String.fromCharCode(header[156] || 48);
+    const prefix = readString(257, 6).startsWith('ustar') ? readString(345, 155) : '';
+    let name = longName || (prefix ? `${prefix}/${readString(0, 100)}` : readString(0, 100));
+    longName = null;
+
+    const dataStart = offset + 512;
+    const data = buffer.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / 512) * 512;
+
+    if (type === 'L') {
+      longName = data.toString('utf8').replace(/\0+$/, '');
+      continue;
+    }
+    if (type === 'x') {
+      const match = data.toString('utf8').match(/\d+ path=([^\n]*)\n/);
+      if (match) longName = match[1];
+      continue;
+    }
+    if (type !== '0' && type !== '\0') continue;
+
+    name = name.replace(/^\.\//, '');
+    if (name.endsWith('.json')) {
+      entries.set(name, Buffer.from(data));
+    }
+  }
+
+  return entries;
+}
+
+function readZipEntries(buffer) {
+  const entries = new Map();
+
+  // The end of central directory record sits in the last 64KB + 22 bytes
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('Invalid zip archive: end of central directory not found');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Invalid zip archive: corrupt central directory');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.subarray(offset + 46, offset + 46 + nameLength).toString('utf8');
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (!name.endsWith('.json')) continue;
+
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries.set(name, Buffer.from(data));
+    } else if (method === 8) {
+      entries.set(name, zlib.inflateRawSync(data));
+    } else {
+      throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+    }
+  }
+
+  return entries;
+}
+
+module.exports = {
+  HttpSource,
+  DirectorySource,
+  ArchiveSource,
+  createSource
+};
@@ -0,0 +1,310 @@
+/**
+ * Tracker Domains
+ *
+ * Pulls the hostnames written into `scriptSrc`/`xhr` patterns (e.g.
+ * `statics\.a8\.net` -> statics.a8.net) and groups them by technology, by
+ * registrable domain and by vendor, using the technology's `website` as the
+ * vendor hint. Patterns without a literal host are reported instead, and so
+ * are hosts a pattern doesn't anchor (`msecnd\.net/api`): they may be the
+ * suffix of the real host, which a hosts file would then never block.
+ */
+
+const { tryCompilePattern } = require('./patterns');
+const { FILE_EXTENSIONS, hostnameOf, registrableDomain, hostFromPattern } = require('./domains');
+const { RISK_THRESHOLDS } = require('./blocklists');
+
+const NETWORK_TYPES = ['scriptSrc', 'xhr'];
+
+// Shared hosting and CDN domains: blocking them would break unrelated sites
+const DEFAULT_EXCLUDE = [
+  'amazonaws.com', 'cloudfront.net', 'azureedge.net', 'msecnd.net', 'azurewebsites.net', 'windows.net',
+  'akamaihd.net', 'akamaized.net', 'akamai.net', 'edgekey.net', 'edgesuite.net', 'cloudflare.com',
+  'fastly.net', 'b-cdn.net', 'cdn77.org', 'jsdelivr.net', 'unpkg.com', 'googleapis.com', 'gstatic.com',
+  'googleusercontent.com', 'appspot.com', 'firebaseapp.com', 'digitaloceanspaces.com', 'github.io',
+  'githubusercontent.com', 'herokuapp.com', 'netlify.app', 'vercel.app'
+];
+
+// Upper bound on the literal variants an alternation is expanded into
+const MAX_VARIANTS = 32;
+
+/**
+ * Expands alternations into literal variants, e.g. `(?:cdn|www)\.foo\.com`
+ * into `cdn\.foo\.com` and `www\.foo\.com`. Returns null when a group nests
+ * other groups or the pattern expands into too many variants.
+ */
+function expandAlternatives(regex) {
+  let variants = [regex];
+
+  while (variants.some(variant => variant.includes('|'))) {
+    const next = [];
+    for (const variant of variants) {
+      const expanded = expandFirstAlternation(variant);
+      if (!expanded) return null;
+      next.push(...expanded);
+    }
+    if (next.length > MAX_VARIANTS) return null;
+    variants = next;
+  }
+
+  return variants;
+}
+
+function expandFirstAlternation(regex) {
+  if (!regex.includes('|')) return [regex];
+
+  // Innermost group with alternatives, optionally made optional by `?`
+  const group = /\((?:\?:)?((?:[^()|\\[]|\\.)*(?:\|(?:[^()|\\[]|\\.)*)+)\)(\?)?/.exec(regex);
+  if (group) {
+    const alternatives = splitAlternatives(group[1]);
+    if (group[2]) alternatives.push('');
+    const before = regex.slice(0, group.index);
+    const after = regex.slice(group.index + group[0].length);
+    return alternatives.map(alternative => `${before}${alternative}${after}`);
+  }
+
+  // Top-level alternation outside any group
+  return /[()[]/.test(regex) ? null : splitAlternatives(regex);
+}
+
+function splitAlternatives(source) {
+  const alternatives = [''];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\\') {
+      alternatives[alternatives.length - 1] += source.slice(i, i + 2);
+      i++;
+    } else if (source[i] === '|') {
+      alternatives.push('');
+    } else {
+      alternatives[alternatives.length - 1] += source[i];
+    }
+  }
+  return alternatives;
+}
+
+function unextractableReason(regex) {
+  if (regex.includes('|')) return 'alternation could not be expanded to literal hostnames';
+
+  const body = regex.replace(/^\^?(?:https\??:)?(?:\\?\/\\?\/)?/, '');
+  const hosts = (body.match(/(?:[a-z0-9-]+\\\.)+[a-z][a-z0-9-]*/gi) || [])
+      .filter(chunk => !FILE_EXTENSIONS.has(chunk.split('\\.').pop().toLowerCase()));
+  if (hosts.length === 0) {
+    return /^\\?\//.test(body) ? 'path-only pattern' : 'no literal hostname';
+  }
+  if (/\/|\\\?|=/.test(body.slice(0, body.indexOf(hosts[0])))) {
+    return 'hostname only appears in a path or query string';
+  }
+  return 'hostname contains wildcards or character classes';
+}
+
+/**
+ * Builds tracker-domains.json, the unextractable-pattern report, a hosts file
+ * and a plain list of registrable domains from the network patterns of
+ * privacy technologies at or above `options.riskLevel` (default: low).
+ * `options.generatedAt` and `options.source` are written into the headers.
+ */
+function buildTrackerDomains(privacyTechnologies, networkPatterns, options = {}) {
+  const riskLevel = options.riskLevel || 'low';
+  const generatedAt = options.generatedAt || new Date().toISOString();
+  const minThreatLevel = RISK_THRESHOLDS[riskLevel];
+  if (!minThreatLevel) {
+    throw new Error(`Invalid trackerDomains riskLevel "${riskLevel}" (expected low, medium or high)`);
+  }
+  const exclude = new Set((options.exclude || DEFAULT_EXCLUDE).map(domain => domain.toLowerCase()));
+
+  const technologies = new Map(privacyTechnologies
+      .filter(tech => tech.threatLevel >= minThreatLevel)
+      .map(tech => [tech.name, tech]));
+  const candidates = networkPatterns.filter(entry =>
+    NETWORK_TYPES.includes(entry.type) && technologies.has(entry.technology)
+  );
+
+  const byTechnology = new Map();
+  const unextractable = [];
+  const unanchored = [];
+  const excluded = [];
+
+  candidates.forEach(entry => {
+    const regex = entry.regex || '';
+    const skip = reason => unextractable.push({
+      technology: entry.technology,
+      type: entry.type,
+      pattern: entry.pattern,
+      regex,
+      reason,
+      origin: entry.origin || 'upstream'
+    });
+
+    if (!regex || tryCompilePattern({ regex, flags: 'i' }).error) {
+      skip('empty or invalid regex');
+      return;
+    }
+
+    const hosts = (expandAlternatives(regex) || []).map(hostFromPattern).filter(Boolean);
+    if (hosts.length === 0) {
+      skip(unextractableReason(regex));
+      return;
+    }
+
+    const record = byTechnology.get(entry.technology) || { hostnames: new Set(), origins: new Set(), patterns: 0 };
+    record.patterns++;
+    record.origins.add(entry.origin || 'upstream');
+    hosts.forEach(({ hostname, anchored }) => {
+      const domain = registrableDomain(hostname);
+      if (exclude.has(hostname) || exclude.has(domain)) {
+        excluded.push({ technology: entry.technology, hostname, pattern: entry.pattern, reason: `${domain} is a shared hosting domain` });
+      } else if (!anchored) {
+        unanchored.push({
+          technology: entry.technology,
+          hostname,
+          pattern: entry.pattern,
+          reason: `the pattern doesn't anchor the start of the host, so ${hostname} may be the suffix of a longer hostname`,
+          origin: entry.origin || 'upstream'
+        });
+      } else {
+        record.hostnames.add(hostname);
+      }
+    });
+    byTechnology.set(entry.technology, record);
+  });
+
+  const technologyList = [];
+  const domains = new Map();
+  const vendors = new Map();
+
+  byTechnology.forEach((record, name) => {
+    if (record.hostnames.size === 0) return;
+
+    const tech = technologies.get(name);
+    const hostnames = Array.from(record.hostnames).sort();
+    const techDomains = Array.from(new Set(hostnames.map(registrableDomain))).sort();
+    const website = registrableDomain(hostnameOf(tech.website));
+    const vendor = website || techDomains[0];
+
+    technologyList.push({
+      name,
+      vendor,
+      riskLevel: tech.riskLevel,
+      categories: tech.categoryNames || [],
+      hostnames,
+      domains: techDomains
+    });
+
+    techDomains.forEach(domain => {
+      const entry = domains.get(domain) || {
+        domain,
+        hostnames: [],
+        technologies: [],
+        vendors: [],
+        categories: [],
+        riskLevel: tech.riskLevel,
+        threatLevel: tech.threatLevel,
+        origins: []
+      };
+      addAll(entry.hostnames, hostnames.filter(hostname => registrableDomain(hostname) === domain));
+      addAll(entry.technologies, [name]);
+      addAll(entry.vendors, [vendor]);
+      addAll(entry.categories, tech.categoryNames || []);
+      addAll(entry.origins, Array.from(record.origins));
+      if (tech.threatLevel > entry.threatLevel) {
+        entry.threatLevel = tech.threatLevel;
+        entry.riskLevel = tech.riskLevel;
+      }
+      domains.set(domain, entry);
+    });
+
+    const group = vendors.get(vendor) || {
+      vendor,
+      website: website ? tech.website : '',
+      technologies: [],
+      domains: [],
+      hostnames: [],
+      riskLevel: tech.riskLevel,
+      threatLevel: tech.threatLevel
+    };
+    addAll(group.technologies, [name]);
+    addAll(group.domains, techDomains);
+    addAll(group.hostnames, hostnames);
+    if (tech.threatLevel > group.threatLevel) {
+      group.threatLevel = tech.threatLevel;
+      group.riskLevel = tech.riskLevel;
+    }
+    vendors.set(vendor, group);
+  });
+
+  const byName = key => (a, b) => a[key].localeCompare(b[key]);
+  const domainList = Array.from(domains.values()).sort(byName('domain'));
+  const vendorList = Array.from(vendors.values()).sort(byName('vendor'));
+  const allHostnames = Array.from(new Set(vendorList.flatMap(group => group.hostnames))).sort();
+
+  const extracted = Array.from(byTechnology.values()).reduce((sum, record) => sum + record.patterns, 0);
+  const summary = {
+    technologies: technologyList.length,
+    vendors: vendorList.length,
+    hostnames: allHostnames.length,
+    domains: domainList.length,
+    candidatePatterns: candidates.length,
+    extractedPatterns: extracted,
+    unextractablePatterns: unextractable.length,
+    unanchoredHostnames: unanchored.length,
+    excludedHostnames: excluded.length
+  };
+
+  return {
+    trackerDomains: {
+      generatedAt,
+      riskLevel,
+      summary,
+      domains: domainList,
+      vendors: vendorList,
+      technologies: technologyList.sort(byName('name'))
+    },
+    report: {
+      generatedAt,
+      riskLevel,
+      summary,
+      exclude: Array.from(exclude),
+      unextractable,
+      unanchored,
+      excluded
+    },
+    hostsFile: renderHostsFile(vendorList, riskLevel, generatedAt, options.source),
+    domainList: domainList.length > 0 ? `${domainList.map(entry => entry.domain).join('\n')}\n` : ''
+  };
+}
+
+function renderHostsFile(vendors, riskLevel, generatedAt, source) {
+  const lines = [
+    `# Title: Wappalyzer Privacy Tracker Hosts (${riskLevel} risk and above)`,
+    `# Last modified: ${generatedAt}`,
+    '# Generated by Wappalyzer Privacy Technology Scraper'
+  ];
+  if (source) lines.push(`# Source: ${source}`);
+  lines.push('#');
+  const written = new Set();
+
+  vendors.forEach(group => {
+    const hostnames = group.hostnames.filter(hostname => !written.has(hostname));
+    if (hostnames.length === 0) return;
+
+    lines.push('', `# ${group.vendor}: ${group.technologies.join(', ')} | ${group.riskLevel}`);
+    hostnames.forEach(hostname => {
+      written.add(hostname);
+      lines.push(`0.0.0.0 ${hostname}`);
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+function addAll(list, values) {
+  values.forEach(value => {
+    if (!list.includes(value)) list.push(value);
+  });
+  list.sort();
+}
+
+module.exports = {
+  DEFAULT_EXCLUDE,
+  expandAlternatives,
+  buildTrackerDomains
+};
@@ -0,0 +1,267 @@
+/**
+ * Upstream Data Validation
+ *
+ * Field-level checks of Wappalyzer category, group and technology definitions.
+ * Entries that cannot be used are rejected; fields with a fixable shape (a
+ * string where a list is expected, unknown category IDs, ...) are coerced.
+ * Every rejection and coercion is recorded for quarantine.json.
+ */
+
+// Fields holding a pattern or a list of patterns
+const LIST_FIELDS = ['scriptSrc', 'xhr', 'html', 'url', 'css', 'robots', 'text', 'scripts', 'certIssuer'];
+// Fields mapping a name to a pattern (or a list of patterns)
+const MAP_FIELDS = ['cookies', 'js', 'headers', 'meta', 'dns'];
+// Fields referencing other technologies by name
+const REFERENCE_FIELDS = ['implies', 'requires', 'excludes'];
+const STRING_FIELDS = ['description', 'website', 'icon', 'cpe'];
+const BOOLEAN_FIELDS = ['saas', 'oss'];
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+class Quarantine {
+  constructor() {
+    this.entries = [];
+  }
+
+  reject(kind, name, reason, field = null) {
+    this.entries.push({ kind, name, action: 'rejected', field, reason });
+  }
+
+  coerce(kind, name, field, reason) {
+    this.entries.push({ kind, name, action: 'coerced', field, reason });
+  }
+
+  report(generatedAt = new Date().toISOString()) {
+    const summary = { rejected: 0, coerced: 0, byKind: {} };
+    this.entries.forEach(({ kind, action }) => {
+      summary[action]++;
+      summary.byKind[kind] = summary.byKind[kind] || { rejected: 0, coerced: 0 };
+      summary.byKind[kind][action]++;
+    });
+
+    return {
+      generatedAt,
+      summary,
+      entries: this.entries
+    };
+  }
+}
+
+function validateGroups(groups, quarantine) {
+  const valid = {};
+
+  Object.entries(groups || {}).forEach(([id, group]) => {
+    if (!/^\d+$/.test(id)) {
+      quarantine.reject('group', id, 'ID is not numeric');
+    } else if (!isObject(group) || typeof group.name !== 'string' || !group.name) {
+      quarantine.reject('group', id, 'expected an object with a name');
+    } else {
+      valid[id] = group;
+    }
+  });
+
+  return valid;
+}
+
+function validateCategories(categories, groups, quarantine) {
+  const valid = {};
+
+  Object.entries(categories || {}).forEach(([id, category]) => {
+    if (!/^\d+$/.test(id)) {
+      quarantine.reject('category', id, 'ID is not numeric');
+      return;
+    }
+    if (!isObject(category) || typeof category.name !== 'string' || !category.name) {
+      quarantine.reject('category', id, 'expected an object with a name');
+      return;
+    }
+
+    const result = { ...category };
+    if (category.priority !== undefined && typeof category.priority !== 'number') {
+      delete result.priority;
+      quarantine.coerce('category', id, 'priority', `expected a number, got ${describe(category.priority)}`);
+    }
+    if (category.groups !== undefined) {
+      const ids = toNumberList(category.groups);
+      const known = ids.filter(groupId => groups[groupId]);
+      if (!Array.isArray(category.groups) || known.length !== category.groups.length) {
+        const unknown = ids.filter(groupId => !groups[groupId]);
+        quarantine.coerce('category', id, 'groups', unknown.length > 0
+          ? `unknown group IDs removed: ${unknown.join(', ')}`
+          : `expected an array of group IDs, got ${describe(category.groups)}`);
+      }
+      result.groups = known;
+    }
+
+    valid[id] = result;
+  });
+
+  return valid;
+}
+
+function validateTechnology(name, tech, categories, quarantine) {
+  if (!isObject(tech)) {
+    quarantine.reject('technology', name, `expected an object, got ${describe(tech)}`);
+    return null;
+  }
+
+  const result = { ...tech };
+  const coerce = (field, reason) => quarantine.coerce('technology', name, field, reason);
+
+  // cats: required, numeric and known
+  if (tech.cats === undefined) {
+    quarantine.reject('technology', name, 'missing cats', 'cats');
+    return null;
+  }
+  const cats = toNumberList(tech.cats);
+  const unknown = cats.filter(cat => !categories[cat]);
+  result.cats = cats.filter(cat => categories[cat]);
+
+  if (result.cats.length === 0) {
+    quarantine.reject('technology', name, unknown.length > 0
+      ? `no known categories (unknown IDs: ${unknown.join(', ')})`
+      : `expected an array of category IDs, got ${describe(tech.cats)}`, 'cats');
+    return null;
+  }
+  if (unknown.length > 0) {
+    coerce('cats', `unknown category IDs removed: ${unknown.join(', ')}`);
+  } else if (!Array.isArray(tech.cats) || result.cats.length !== tech.cats.length) {
+    coerce('cats', `expected an array of category IDs, got ${describe(tech.cats)}`);
+  }
+
+  STRING_FIELDS.forEach(field => {
+    if (tech[field] !== undefined && typeof tech[field] !== 'string') {
+      delete result[field];
+      coerce(field, `expected a string, got ${describe(tech[field])}`);
+    }
+  });
+
+  BOOLEAN_FIELDS.forEach(field => {
+    if (tech[field] !== undefined && typeof tech[field] !== 'boolean') {
+      result[field] = Boolean(tech[field]);
+      coerce(field, `expected a boolean, got ${describe(tech[field])}`);
+    }
+  });
+
+  if (tech.pricing !== undefined) {
+    const pricing = toStringList(tech.pricing);
+    if (!Array.isArray(tech.pricing) || pricing.length !== tech.pricing.length) {
+      coerce('pricing', `expected an array of strings, got ${describe(tech.pricing)}`);
+    }
+    result.pricing = pricing;
+  }
+
+  [...LIST_FIELDS, ...REFERENCE_FIELDS].forEach(field => {
+    const value = tech[field];
+    if (value === undefined || typeof value === 'string') return;
+
+    const list = toStringList(value);
+    if (!Array.isArray(value) || list.length !== value.length) {
+      coerce(field, `expected a string or an array of strings, got ${describe(value)}`);
+    }
+    if (list.length > 0) {
+      result[field] = list;
+    } else {
+      delete result[field];
+    }
+  });
+
+  MAP_FIELDS.forEach(field => {
+    const value = tech[field];
+    if (value === undefined) return;
+
+    // A bare cookie or global name means "present with any value"
+    if (typeof value === 'string' && (field === 'cookies' || field === 'js')) {
+      result[field] = { [value]: '' };
+      coerce(field, 'expected an object, got a string name');
+      return;
+    }
+    if (!isObject(value)) {
+      delete result[field];
+      coerce(field, `expected an object, got ${describe(value)}`);
+      return;
+    }
+
+    const map = {};
+    const dropped = [];
+    Object.entries(value).forEach(([key, pattern]) => {
+      if (typeof pattern === 'string') {
+        map[key] = pattern;
+      } else if (Array.isArray(pattern) && pattern.every(item => typeof item === 'string')) {
+        map[key] = pattern;
+      } else {
+        dropped.push(key);
+      }
+    });
+    if (dropped.length > 0) {
+      coerce(field, `non-string patterns removed: ${dropped.join(', ')}`);
+    }
+    result[field] = map;
+  });
+
+  if (tech.dom !== undefined && typeof tech.dom !== 'string' && !isObject(tech.dom)) {
+    const list = toStringList(tech.dom);
+    if (!Array.isArray(tech.dom) || list.length !== tech.dom.length) {
+      coerce('dom', `expected a selector, a list of selectors or an object, got ${describe(tech.dom)}`);
+    }
+    result.dom = list;
+  }
+
+  if (tech.requiresCategory !== undefined) {
+    const ids = toNumberList(tech.requiresCategory);
+    const known = ids.filter(id => categories[id]);
+    if (known.length !== [].concat(tech.requiresCategory).length) {
+      coerce('requiresCategory', `expected known category IDs, got ${describe(tech.requiresCategory)}`);
+    }
+    if (known.length > 0) {
+      result.requiresCategory = Array.isArray(tech.requiresCategory) ? known : known[0];
+    } else {
+      delete result.requiresCategory;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validates upstream data and returns the usable subset along with the
+ * quarantine report. Input objects are not modified.
+ */
+function validateUpstream({ categories, groups, technologies, generatedAt }) {
+  const quarantine = new Quarantine();
+  const validGroups = validateGroups(groups, quarantine);
+  const validCategories = validateCategories(categories, validGroups, quarantine);
+
+  const validTechnologies = {};
+  Object.entries(technologies || {}).forEach(([name, tech]) => {
+    const result = validateTechnology(name, tech, validCategories, quarantine);
+    if (result) validTechnologies[name] = result;
+  });
+
+  return {
+    categories: validCategories,
+    groups: validGroups,
+    technologies: validTechnologies,
+    quarantine: quarantine.report(generatedAt)
+  };
+}
+
+function toNumberList(value) {
+  return [].concat(value)
+      .map(item => (typeof item === 'string' && /^\d+$/.test(item) ? Number(item) : item))
+      .filter(item => Number.isInteger(item));
+}
+
+function toStringList(value) {
+  return [].concat(value).filter(item => typeof item === 'string');
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  return typeof value === 'object' ? 'an object' : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+module.exports = {
+  validateUpstream
+};
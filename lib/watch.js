@@ -0,0 +1,187 @@
+/**
+ * Watch Mode
+ *
+ * Runs a cycle (check upstream, regenerate when it changed, notify) at a
+ * fixed interval, never two at once. Also builds the change notification
+ * sent to webhooks and the command hook, and keeps a rolling history of the
+ * generated snapshots in `<outputDir>/history/`.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { spawn } = require('child_process');
+const { ConfigurationError, ScraperError } = require('./errors');
+
+const HISTORY_DIR = 'history';
+const SNAPSHOT_NAME = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}Z$/;
+
+// What diff reads from a directory, plus the change report and provenance of the run
+const HISTORY_FILES = [
+  'privacy-technologies.json',
+  'cookie-patterns.json',
+  'javascript-patterns.json',
+  'network-patterns.json',
+  'header-patterns.json',
+  'meta-patterns.json',
+  'html-patterns.json',
+  'additional-patterns.json',
+  'complete-database.json',
+  'extension-database.json',
+  'changes.json',
+  'CHANGES.md',
+  'provenance.json'
+];
+
+const DEFAULT_WATCH_OPTIONS = {
+  interval: 3600000,
+  history: 5,
+  webhooks: [],
+  command: null
+};
+
+class Watcher {
+  /**
+   * @param {function} cycle  async function run once per interval
+   * @param {object} options  interval (ms between the end of one cycle and
+   *   the start of the next), cycles (stop after this many; default never)
+   *   and warn
+   */
+  constructor(cycle, { interval, cycles = Infinity, warn = () => {} }) {
+    this.cycle = cycle;
+    this.interval = interval;
+    this.maxCycles = cycles;
+    this.warn = warn;
+    this.cycles = 0;
+    this.last = null;
+    this.stopped = false;
+    this.timer = null;
+    this.wake = null;
+    this.done = null;
+  }
+
+  start() {
+    this.done = this.loop();
+    return this;
+  }
+
+  // A failed cycle is retried at the next interval; configuration errors end the watch
+  async loop() {
+    while (!this.stopped) {
+      this.cycles++;
+      try {
+        this.last = await this.cycle(this.cycles);
+      } catch (error) {
+        if (error instanceof ConfigurationError) throw error;
+        this.warn(`Watch cycle ${this.cycles} failed: ${error.message}`, { type: 'watch', cycle: this.cycles, error });
+      }
+      if (this.stopped || this.cycles >= this.maxCycles) break;
+
+      await new Promise(resolve => {
+        this.wake = resolve;
+        this.timer = setTimeout(resolve, this.interval);
+      });
+    }
+    return this.last;
+  }
+
+  // Lets a running cycle finish, then ends the watch
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    if (this.wake) this.wake();
+    return this.done;
+  }
+}
+
+/**
+ * Name of the history snapshot of a run, e.g. 2024-05-01T12-00-00Z.
+ */
+function snapshotName(generatedAt) {
+  return new Date(generatedAt).toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+}
+
+/**
+ * Copies the current outputs that exist into history/<name>/, then removes
+ * all but the newest `keep` snapshots. Resolves to the removed names.
+ */
+async function saveSnapshot(outputDir, name, keep) {
+  const historyDir = path.join(outputDir, HISTORY_DIR);
+  const snapshotDir = path.join(historyDir, name);
+  await fs.mkdir(snapshotDir, { recursive: true });
+
+  for (const file of HISTORY_FILES) {
+    try {
+      await fs.copyFile(path.join(outputDir, file), path.join(snapshotDir, file));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  const snapshots = (await fs.readdir(historyDir)).filter(entry => SNAPSHOT_NAME.test(entry)).sort();
+  const removed = snapshots.slice(0, Math.max(0, snapshots.length - keep));
+  for (const entry of removed) {
+    await fs.rm(path.join(historyDir, entry), { recursive: true, force: true });
+  }
+  return removed;
+}
+
+/**
+ * Notification payload for a run whose datasets changed: the change counts,
+ * the added and removed technologies and the risk level changes.
+ */
+function changePayload(changes, { generatedAt, outputDir, source, revision, snapshot }) {
+  return {
+    event: 'datasets-changed',
+    generatedAt,
+    source,
+    revision,
+    outputDir,
+    snapshot,
+    summary: changes.summary,
+    addedTechnologies: changes.technologies.added.map(tech => ({ name: tech.name, riskLevel: tech.riskLevel })),
+    removedTechnologies: changes.technologies.removed.map(tech => ({ name: tech.name, riskLevel: tech.riskLevel })),
+    riskChanges: changes.technologies.riskChanges.map(({ name, from, to }) => ({ name, from, to }))
+  };
+}
+
+/**
+ * Runs the command hook through the shell with the payload as JSON on
+ * stdin. Rejects when it exits with a non-zero code or outlives `timeout`.
+ */
+function runCommandHook(command, payload, { timeout, cwd, env = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      cwd,
+      env: { ...process.env, ...env },
+      stdio: ['pipe', 'inherit', 'pipe'],
+      timeout
+    });
+    let stderr = '';
+
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-2000);
+    });
+    child.on('error', error => reject(new ScraperError(`Command hook failed to start: ${error.message}`, { command, cause: error })));
+    child.on('close', (code, signal) => {
+      if (code === 0) return resolve();
+      const reason = signal ? `was stopped by ${signal}` : `exited with code ${code}`;
+      reject(new ScraperError(`Command hook ${reason}${stderr.trim() ? `: ${stderr.trim()}` : ''}`, { command, code, signal }));
+    });
+
+    // A hook that doesn't read its input must not fail the write
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(payload));
+  });
+}
+
+module.exports = {
+  HISTORY_DIR,
+  HISTORY_FILES,
+  DEFAULT_WATCH_OPTIONS,
+  Watcher,
+  snapshotName,
+  saveSnapshot,
+  changePayload,
+  runCommandHook
+};
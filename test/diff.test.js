@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffSnapshots, checkThresholds } = require('../lib/diff');
+
+const entry = (pattern, fields = {}) => ({
+  technology: 'Example',
+  pattern,
+  regex: `^${pattern}$`,
+  flags: '',
+  version: '',
+  confidence: 100,
+  valuePattern: null,
+  threatLevel: 1,
+  origin: 'upstream',
+  ...fields
+});
+
+const snapshot = cookies => ({ dir: '/data', technologies: [], cookies, categories: {} });
+
+test('reports added, removed and changed pattern entries', () => {
+  const previous = [entry('_ex_a'), entry('_ex_b'), entry('_ex_c', { confidence: 50 })];
+  const current = [entry('_ex_a'), entry('_ex_c'), entry('_ex_d')];
+
+  const { patterns, summary } = diffSnapshots(snapshot(previous), snapshot(current), '2024-01-01T00:00:00.000Z');
+  assert.deepEqual(patterns.cookies, {
+    added: [{ technology: 'Example', pattern: '_ex_d' }],
+    removed: [{ technology: 'Example', pattern: '_ex_b' }],
+    changed: [{ technology: 'Example', pattern: '_ex_c', fields: { confidence: { from: 50, to: 100 } } }]
+  });
+  assert.equal(summary.addedPatterns, 1);
+  assert.equal(summary.removedPatterns, 1);
+  assert.equal(summary.changedPatterns, 1);
+  assert.equal(summary.total, 3);
+});
+
+test('compares value patterns, versions and threat levels', () => {
+  const previous = [entry('_ex', { valuePattern: { regex: '^1$', flags: '' }, version: '', threatLevel: 1 })];
+  const current = [entry('_ex', { valuePattern: { regex: '^2$', flags: '' }, version: '\\1', threatLevel: 2 })];
+
+  const [changed] = diffSnapshots(snapshot(previous), snapshot(current)).patterns.cookies.changed;
+  assert.deepEqual(Object.keys(changed.fields).sort(), ['threatLevel', 'valuePattern', 'version']);
+});
+
+test('pairs duplicate entries in order', () => {
+  const previous = [entry('_ex'), entry('_ex', { version: '1' })];
+  const current = [entry('_ex')];
+
+  const { added, removed, changed } = diffSnapshots(snapshot(previous), snapshot(current)).patterns.cookies;
+  assert.deepEqual([added.length, removed.length, changed.length], [0, 1, 0]);
+});
+
+test('uses the given timestamp', () => {
+  const changes = diffSnapshots(snapshot([]), snapshot([]), '2024-01-01T00:00:00.000Z');
+  assert.equal(changes.generatedAt, '2024-01-01T00:00:00.000Z');
+  assert.equal(changes.summary.total, 0);
+});
+
+test('checkThresholds fails on changed patterns', () => {
+  const changes = diffSnapshots(snapshot([entry('_ex')]), snapshot([entry('_ex', { confidence: 50 })]));
+  assert.deepEqual(checkThresholds(changes, { changedPatterns: 0, total: 5 }), [
+    { metric: 'changedPatterns', limit: 0, actual: 1 }
+  ]);
+});
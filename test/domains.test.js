@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hostnameFromPattern, hostFromPattern, registrableDomain } = require('../lib/domains');
+
+test('hostnameFromPattern extracts the literal host of a URL pattern', () => {
+  assert.equal(hostnameFromPattern('^https?://cdn\\.example\\.com/sdk\\.js'), 'cdn.example.com');
+  assert.equal(hostnameFromPattern('//static\\.hotjar\\.com/c/hotjar-'), 'static.hotjar.com');
+  assert.equal(hostnameFromPattern('\\.hotjar\\.com/'), 'hotjar.com');
+  assert.equal(hostnameFromPattern('statics\\.a8\\.net'), 'statics.a8.net');
+});
+
+test('hostnameFromPattern returns null without a literal host', () => {
+  [
+    '/wp-content/plugins/',
+    'jquery-([\\d.]+)\\.js',
+    'connect\\.facebook\\.\\w+/',
+    'cp.\\.example\\.com',
+    '/track\\?u=tracker\\.example\\.com'
+  ].forEach(regex => assert.equal(hostnameFromPattern(regex), null, regex));
+});
+
+test('hostFromPattern tells whether the host is anchored', () => {
+  assert.deepEqual(hostFromPattern('^https?://cdn\\.example\\.com/'), { hostname: 'cdn.example.com', anchored: true });
+  assert.deepEqual(hostFromPattern('^(?:https?:)?//tags\\.example\\.com/'), { hostname: 'tags.example.com', anchored: true });
+  assert.deepEqual(hostFromPattern('//cdn\\.example\\.com'), { hostname: 'cdn.example.com', anchored: true });
+  assert.deepEqual(hostFromPattern('^cdn\\.example\\.com'), { hostname: 'cdn.example.com', anchored: true });
+
+  // May be the suffix of a longer host, e.g. az416426.vo.msecnd.net
+  assert.deepEqual(hostFromPattern('msecnd\\.net/scripts/a/ai\\.0\\.js'), { hostname: 'msecnd.net', anchored: false });
+  assert.deepEqual(hostFromPattern('\\.hotjar\\.com/'), { hostname: 'hotjar.com', anchored: false });
+});
+
+test('registrableDomain keeps multi-label public suffixes', () => {
+  assert.equal(registrableDomain('www.googletagmanager.com'), 'googletagmanager.com');
+  assert.equal(registrableDomain('cdn.example.co.uk'), 'example.co.uk');
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lintPatterns } = require('../lib/lint');
+
+// Only the backtracking rules, on one network pattern per regex
+function redosFindings(regex) {
+  const { report } = lintPatterns({
+    'network-patterns': [{ technology: 'Example', type: 'scriptSrc', pattern: regex, regex, flags: 'i' }]
+  }, { ignore: ['unanchored', 'short-literal', 'leading-wildcard', 'generic-match'] });
+  return report.findings.map(finding => [finding.rule, finding.severity]);
+}
+
+test('flags nested quantifiers as errors', () => {
+  assert.deepEqual(redosFindings('(a+)+b'), [['nested-quantifier', 'error']]);
+  assert.deepEqual(redosFindings('^(?:\\w+\\s?)*$'), [['nested-quantifier', 'error']]);
+});
+
+test('accepts nested quantifiers delimited by a character the inner one cannot match', () => {
+  assert.deepEqual(redosFindings('(\\w+\\.)+example\\.com'), []);
+});
+
+test('flags overlapping alternatives, as errors when both are single characters', () => {
+  assert.deepEqual(redosFindings('(\\w|\\d)+x'), [['overlapping-alternation', 'error']]);
+  assert.deepEqual(redosFindings('(ab|abc)*x'), [['overlapping-alternation', 'warning']]);
+});
+
+test('flags adjacent quantifiers over the same characters', () => {
+  assert.deepEqual(redosFindings('tracker.*.*\\.js'), [['adjacent-quantifiers', 'warning']]);
+  assert.deepEqual(redosFindings('tracker\\d+-[a-z]+\\.js'), []);
+});
+
+test('excludes patterns at or above the configured severity', () => {
+  const risky = { technology: 'Example', type: 'scriptSrc', pattern: '(a+)+b', regex: '(a+)+b', flags: 'i' };
+  const safe = { technology: 'Example', type: 'scriptSrc', pattern: 'cdn\\.example\\.com', regex: 'cdn\\.example\\.com', flags: 'i' };
+  const { excluded } = lintPatterns({ 'network-patterns': [risky, safe] }, { exclude: 'error' });
+  assert.deepEqual(Array.from(excluded), [risky]);
+});
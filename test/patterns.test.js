@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePattern, compilePattern, tryCompilePattern } = require('../lib/patterns');
+
+test('parsePattern splits off the version and confidence tags', () => {
+  assert.deepEqual(parsePattern('jquery-([\\d.]+)\\.js\\;version:\\1\\;confidence:50'), {
+    regex: 'jquery-([\\d.]+)\\.js',
+    flags: 'i',
+    version: '\\1',
+    confidence: 50
+  });
+});
+
+test('compilePattern compiles the regex as written, case-insensitively', () => {
+  const regexp = compilePattern(parsePattern('cdn\\.example\\.com/sdk\\.js'));
+  assert.ok(regexp.test('https://CDN.example.com/sdk.js'));
+  assert.ok(!regexp.test('https://cdnxexample.com/sdk.js'));
+});
+
+test('compilePattern keeps slashes and escaped slashes as written', () => {
+  // `//` must stay a double slash, and `\/` already means `/`
+  const plain = compilePattern(parsePattern('^https?://www\\.googletagmanager\\.com/gtm\\.js'));
+  const escaped = compilePattern(parsePattern('^https?:\\/\\/www\\.googletagmanager\\.com\\/gtm\\.js'));
+  [plain, escaped].forEach(regexp => {
+    assert.ok(regexp.test('https://www.googletagmanager.com/gtm.js'));
+    assert.ok(!regexp.test('https:/www.googletagmanager.com/gtm.js'));
+  });
+});
+
+test('tryCompilePattern reports invalid regexes instead of throwing', () => {
+  const { regexp, error } = tryCompilePattern(parsePattern('unclosed(group'));
+  assert.equal(regexp, null);
+  assert.match(error, /Invalid regular expression/);
+});
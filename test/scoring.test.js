@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ThreatScoringModel } = require('../lib/scoring');
+
+const model = new ThreatScoringModel({
+  categoryWeights: { 10: 30 },
+  vectorBonuses: { cookies: 5, fingerprinting: 20, crossSiteXhr: 10 }
+});
+const vectors = tech => model.score('Example', { cats: [10], website: 'https://example.com', ...tech })
+    .breakdown.bonuses.map(bonus => bonus.vector);
+
+test('crossSiteXhr counts xhr patterns on another site only', () => {
+  assert.deepEqual(vectors({ xhr: 'collect\\.example-cdn\\.net' }), ['crossSiteXhr']);
+  assert.deepEqual(vectors({ xhr: ['api\\.example\\.com/collect', '\\.example\\.com/v1'] }), []);
+  assert.deepEqual(vectors({ xhr: '/collect\\?v=1' }), []);
+  assert.deepEqual(vectors({ xhr: 'collect\\.example-cdn\\.net', website: '' }), []);
+});
+
+test('cookies and fingerprinting hints add their bonuses', () => {
+  assert.deepEqual(vectors({ cookies: { _ex: '' }, js: { fpjsAgent: '' } }), ['cookies', 'fingerprinting']);
+  assert.equal(model.score('Example', { cats: [10], cookies: { _ex: '' } }).score, 35);
+});
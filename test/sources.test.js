@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { createSource, DirectorySource, ArchiveSource } = require('../lib/sources');
+const { SourceError } = require('../lib/errors');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const SOURCE_DIR = path.join(FIXTURES, 'wappalyzer-main', 'src');
+
+async function readUpstream(source) {
+  return {
+    categories: await source.readJson('categories.json'),
+    groups: await source.readJson('groups.json'),
+    a: await source.readJson('technologies/a.json'),
+    b: await source.readJson('technologies/b.json')
+  };
+}
+
+test('reads the same files from a directory, a file:// URL, a .tar.gz and a .zip', async () => {
+  const specs = [
+    SOURCE_DIR,
+    pathToFileURL(SOURCE_DIR).href,
+    path.join(FIXTURES, 'wappalyzer-main.tar.gz'),
+    path.join(FIXTURES, 'wappalyzer-main.zip')
+  ];
+  const sources = await Promise.all(specs.map(spec => createSource(spec)));
+  assert.ok(sources[0] instanceof DirectorySource);
+  assert.ok(sources[1] instanceof DirectorySource);
+  assert.ok(sources[2] instanceof ArchiveSource);
+  assert.ok(sources[3] instanceof ArchiveSource);
+
+  const expected = await readUpstream(sources[0]);
+  assert.deepEqual(Object.keys(expected.a), ['Acme Analytics']);
+  assert.equal(expected.b['Bolt.js'].js['Bolt.version'], '^(.+)$\\;version:\\1');
+
+  for (const source of sources.slice(1)) {
+    assert.deepEqual(await readUpstream(source), expected);
+    assert.deepEqual(
+      source.inputs().map(input => [input.path, input.sha256]),
+      sources[0].inputs().map(input => [input.path, input.sha256])
+    );
+  }
+});
+
+test('finds the src/ root inside an archive', async () => {
+  const source = await createSource(path.join(FIXTURES, 'wappalyzer-main.zip'));
+  await source.readJson('categories.json');
+  assert.equal(source.root, 'wappalyzer-main/src/');
+  assert.equal(source.resolve('groups.json'), `${source.archivePath}!/wappalyzer-main/src/groups.json`);
+});
+
+test('rejects missing sources, missing files and unsupported paths with a SourceError', async () => {
+  await assert.rejects(createSource(path.join(FIXTURES, 'missing')), SourceError);
+  await assert.rejects(createSource(path.join(FIXTURES, 'wappalyzer-main', 'src', 'categories.json')), SourceError);
+
+  const archive = await createSource(path.join(FIXTURES, 'wappalyzer-main.tar.gz'));
+  await assert.rejects(archive.readJson('technologies/z.json'), SourceError);
+});
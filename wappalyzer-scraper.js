@@ -5,32 +5,179 @@
  * and generates a flat list with privacy threat assessments for browser monitoring.
  *
  * Usage: node wappalyzer-scraper.js
+ *
+ * Also usable as a library: `run()` resolves to the generated datasets and the
+ * scraper emits `progress`, `warning` and `saved` events (see README).
  */
 
 const fs = require('fs').promises;
+const { readFileSync, createWriteStream } = require('fs');
+const { finished } = require('stream/promises');
 const path = require('path');
-
-class WappalyzerScraper {
-  constructor(configPath = './config.json') {
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { createSource } = require('./lib/sources');
+const { DEFAULT_FETCH_OPTIONS, HttpClient } = require('./lib/http');
+const Detector = require('./lib/detector');
+const RelationshipGraph = require('./lib/relationships');
+const { loadSnapshot, snapshotFromOutputs, diffSnapshots, checkThresholds, renderChangelog } = require('./lib/diff');
+const { RISK_THRESHOLDS, buildBlocklists } = require('./lib/blocklists');
+const { buildTrackerDomains } = require('./lib/trackers');
+const { DatasetServer } = require('./lib/server');
+const { PATTERN_FILES, DatasetExplorer } = require('./lib/explorer');
+const { OUTPUT_FORMATS, DEFAULT_OUTPUT_FORMATS, privacyTechnologiesCsv, patternsCsv } = require('./lib/reports');
+const { renderHtmlReport } = require('./lib/html-report');
+const { readHarSites, auditSite, renderAuditReport } = require('./lib/har');
+const { ThreatScoringModel } = require('./lib/scoring');
+const { buildLookupIndex, LookupIndex, FlatLookup, benchmarkLookup } = require('./lib/lookup');
+const { PURPOSES, PURPOSE_LABELS, ConsentClassifier } = require('./lib/consent');
+const { validateUpstream } = require('./lib/validation');
+const {
+  HISTORY_DIR,
+  DEFAULT_WATCH_OPTIONS,
+  Watcher,
+  snapshotName,
+  saveSnapshot,
+  changePayload,
+  runCommandHook
+} = require('./lib/watch');
+const { SEVERITIES, RULES, DEFAULT_LINT_OPTIONS, lintPatterns, withoutPatterns } = require('./lib/lint');
+const {
+  SHARD_DIR,
+  SHARD_STRATEGIES,
+  COMPRESSIONS,
+  DEFAULT_COMPACT_OUTPUT,
+  shardExtensionDatabase,
+  createShardManifest,
+  fileEntry
+} = require('./lib/compact');
+const { UPSTREAM, loadOverlays, applyOverlays, originOf } = require('./lib/overlays');
+const { OUTPUT_SCHEMAS, schemaFor, validateAgainstSchema } = require('./lib/schemas');
+const {
+  SCRAPER_VERSION,
+  PROVENANCE_FILE,
+  DEFAULT_COUNT_CHECK,
+  REVISION_PLACEHOLDER,
+  UNTRACKED_OUTPUTS,
+  sha256,
+  isCommitSha,
+  githubRepository,
+  commitApiUrl,
+  buildTimestamp,
+  digestConfig,
+  createProvenance,
+  provenanceStamp,
+  compareTechnologyCounts,
+  compareInputs,
+  compareOutputs
+} = require('./lib/provenance');
+const {
+  ScraperError,
+  ConfigurationError,
+  SourceError,
+  ValidationError,
+  DatasetError
+} = require('./lib/errors');
+const {
+  toPatternEntries,
+  structurePattern,
+  structureDomPatterns,
+  findPatternError
+} = require('./lib/patterns');
+
+// Detection vectors without a dataset of their own, collected in additional-patterns.json
+const ADDITIONAL_PATTERN_TYPES = ['css', 'url', 'dns', 'certIssuer', 'robots', 'text', 'scripts'];
+// Upstream splits technologies into technologies/<letter>.json, `_` for the rest
+const TECHNOLOGY_LETTERS = 'abcdefghijklmnopqrstuvwxyz_'.split('');
+
+class WappalyzerScraper extends EventEmitter {
+  /**
+   * @param {string|object} configPath  Path to a config file or a config object
+   * @param {object} options  source, revision, scoringModel, generators, write
+   *   (default true; false keeps datasets in memory only), logger (default
+   *   console; null silences output), generatedAt (timestamp stamped into
+   *   the outputs) and sanityCheck (false skips the technology count check);
+   *   the last two are used by verify. configDir (default: the config file's
+   *   directory, or the working directory for a config object) is where
+   *   relative overlay paths are resolved
+   */
+  constructor(configPath = './config.json', options = {}) {
+    super();
+    this.logger = options.logger !== undefined ? options.logger : console;
     this.config = this.loadConfig(configPath);
+    this.configDir = options.configDir ||
+      (typeof configPath === 'string' ? path.dirname(path.resolve(configPath)) : process.cwd());
     this.baseUrl = this.config.baseUrl;
+    this.sourceSpec = options.source || this.config.source || this.baseUrl;
+    this.revision = options.revision || this.config.revision || null;
+    this.pinnedRevision = null;
+    this.generatedAt = options.generatedAt || null;
+    this.source = null;
+    this.buildTime = null;
+    this.buildProvenance = null;
+    this.outputHashes = {};
+    this.overlayInputs = [];
+    this.detector = null;
+    this.invalidPatterns = [];
+    this.lintExclusions = new Map();
+    this.write = options.write !== false;
+    this.outputs = {};
+    this.generators = new Map();
     this.outputDir = this.config.outputDir;
     this.retries = this.config.retries || 3;
     this.timeout = this.config.timeout || 30000;
     this.userAgent = this.config.userAgent;
+    this.fetchOptions = { policy: 'strict', ...DEFAULT_FETCH_OPTIONS, ...this.config.fetch };
+    this.sanityCheck = options.sanityCheck === false ? null : { ...DEFAULT_COUNT_CHECK, ...this.config.sanityCheck };
+    this.shardCounts = {};
+    this.missingInputs = [];
+    this.http = new HttpClient({
+      ...this.fetchOptions,
+      retries: this.retries,
+      timeout: this.timeout,
+      userAgent: this.userAgent,
+      log: message => this.log(message),
+      warn: (message, details) => this.warn(message, details)
+    });
     this.privacyCategories = new Set(this.config.privacyCategories);
     this.highRiskCategories = new Set(this.config.highRiskCategories);
     this.mediumRiskCategories = new Set(this.config.mediumRiskCategories);
+    this.overlays = this.config.overlays || [];
+    this.provenance = new Map();
+    this.overlayReport = [];
+    this.changeThresholds = this.config.changeThresholds || {};
+    this.blocklist = this.config.blocklist || {};
+    this.trackerDomains = this.config.trackerDomains || {};
+    this.outputFormats = this.config.outputFormats || DEFAULT_OUTPUT_FORMATS;
+    this.patternLint = { ...DEFAULT_LINT_OPTIONS, ...this.config.patternLint };
+    this.compactOutput = { ...DEFAULT_COMPACT_OUTPUT, ...this.config.compactOutput };
+    this.watchOptions = { ...DEFAULT_WATCH_OPTIONS, ...this.config.watch };
+    this.customScoringModel = options.scoringModel || null;
+    this.scoringModel = options.scoringModel || new ThreatScoringModel(this.config.scoring, {
+      privacyCategories: this.config.privacyCategories,
+      highRiskCategories: this.config.highRiskCategories,
+      mediumRiskCategories: this.config.mediumRiskCategories
+    });
+    this.consentClassifier = new ConsentClassifier(this.config.consent);
+
+    Object.entries(options.generators || {}).forEach(([name, generator]) => {
+      this.registerGenerator(name, generator);
+    });
   }
 
   loadConfig(configPath) {
+    if (configPath && typeof configPath === 'object') {
+      return configPath;
+    }
+
+    let configData;
     try {
-      const configData = fs.readFileSync(configPath, 'utf8');
-      return JSON.parse(configData);
+      configData = readFileSync(configPath, 'utf8');
     } catch (error) {
-      console.warn(`⚠️  Could not load config from ${configPath}, using defaults`);
+      this.warn(`Could not load config from ${configPath}, using defaults`, { type: 'config', path: configPath });
       return {
-        baseUrl: 'https://raw.githubusercontent.com/HTTPArchive/wappalyzer/refs/heads/main/src',
+        baseUrl: 'https://raw.githubusercontent.com/HTTPArchive/wappalyzer/{revision}/src',
+        revision: 'main',
         outputDir: './wappalyzer-data',
         retries: 3,
         timeout: 30000,
@@ -40,146 +187,394 @@ class WappalyzerScraper {
         mediumRiskCategories: [10, 36, 42, 32]
       };
     }
+
+    try {
+      return JSON.parse(configData);
+    } catch (error) {
+      throw new ConfigurationError(`Invalid JSON in ${configPath}: ${error.message}`, { path: configPath, cause: error });
+    }
   }
 
+  log(message) {
+    if (this.logger) this.logger.log(message);
+  }
+
+  warn(message, details = {}) {
+    if (this.logger) this.logger.warn(`⚠️  ${message}`);
+    this.emit('warning', { message, ...details });
+  }
+
+  progress(stage, message, details = {}) {
+    this.log(message);
+    this.emit('progress', { stage, message, ...details });
+  }
+
+  /**
+   * Adds a dataset generator that runs after the built-in ones. It receives
+   * { categories, groups, technologies, privacyTechnologies, relationships,
+   * datasets, scraper } and may return (or resolve to) JSON data, saved as
+   * `<name>.json`, or a string when `name` has an extension (e.g. `hosts.txt`).
+   */
+  registerGenerator(name, generator) {
+    if (!name || typeof generator !== 'function') {
+      throw new ConfigurationError(`Invalid generator ${name}: expected a name and a function`);
+    }
+    this.generators.set(name, generator);
+    return this;
+  }
+
+  /**
+   * Scrapes the configured source and generates every dataset. Resolves to
+   * { outputDir, datasets, changes } where `datasets` maps output filenames to
+   * their content; rejects with a ScraperError subclass.
+   */
   async run() {
-    console.log('🚀 Starting Wappalyzer database scraping...');
+    this.progress('start', '🚀 Starting Wappalyzer database scraping...');
+    this.outputs = {};
+    this.outputHashes = {};
+    this.buildProvenance = null;
 
     try {
       // Validate configuration
       this.validateConfiguration();
+      this.buildTime = this.generatedAt || buildTimestamp();
 
       // Create output directory
-      await this.ensureDirectory(this.outputDir);
+      if (this.write) {
+        await this.ensureDirectory(this.outputDir);
+      }
+
+      // Resolve the data source (HTTP, local directory or archive)
+      this.source = await this.createSource();
+      this.progress('source', `📚 Using ${this.source.type} source: ${this.source.describe()}`, {
+        type: this.source.type,
+        source: this.source.describe()
+      });
 
       // Fetch categories and groups
-      console.log('📥 Fetching categories and groups...');
-      const [categories, groups] = await Promise.all([
-        this.fetchJson(`${this.baseUrl}/categories.json`),
-        this.fetchJson(`${this.baseUrl}/groups.json`)
+      this.progress('fetch', '📥 Fetching categories and groups...');
+      const [fetchedCategories, fetchedGroups] = await Promise.all([
+        this.source.readJson('categories.json'),
+        this.source.readJson('groups.json')
       ]);
 
       // Validate fetched data
-      this.validateCategories(categories);
-      this.validateGroups(groups);
+      this.validateCategories(fetchedCategories);
+      this.validateGroups(fetchedGroups);
 
       // Fetch all technologies
-      const technologies = await this.fetchAllTechnologies();
+      const fetchedTechnologies = await this.fetchAllTechnologies();
+
+      // Stop before anything is overwritten when far fewer technologies arrived than last time
+      await this.checkTechnologyCounts();
+
+      // Local overlay files take precedence over upstream definitions
+      const mergedTechnologies = await this.applyOverlays(fetchedTechnologies);
+
+      // Everything this run is built from; stamped into each output
+      this.buildProvenance = this.recordProvenance();
+
+      // Field-level checks; unusable entries are left out and listed in quarantine.json
+      const { categories, groups, technologies } = await this.validateUpstream(
+          fetchedCategories,
+          fetchedGroups,
+          mergedTechnologies
+      );
 
       // Validate technologies data
       this.validateTechnologies(technologies);
 
+      // Keep the previous output in memory so this run can be diffed against it
+      const previousSnapshot = await loadSnapshot(this.outputDir);
+
       // Generate comprehensive datasets
-      console.log('🔄 Generating datasets...');
+      this.progress('generate', '🔄 Generating datasets...');
       await this.generateDatasets(categories, groups, technologies);
 
-      console.log('✅ Database scraping completed successfully!');
-      console.log(`📁 Output saved to: ${path.resolve(this.outputDir)}`);
+      // Record what changed since the previous run
+      const changes = await this.generateChangeReport(previousSnapshot);
+
+      // Input and output hashes for verify
+      await this.saveProvenance();
+
+      this.progress('done', '✅ Database scraping completed successfully!');
+      if (this.write) {
+        this.log(`📁 Output saved to: ${path.resolve(this.outputDir)}`);
+      }
 
+      return {
+        outputDir: path.resolve(this.outputDir),
+        datasets: this.outputs,
+        changes
+      };
     } catch (error) {
-      console.error('❌ Error during scraping:', error.message);
-      console.error('Stack trace:', error.stack);
-      process.exit(1);
+      if (error instanceof ScraperError) throw error;
+      throw new ScraperError(`Scraping failed: ${error.message}`, { cause: error });
     }
   }
 
   validateConfiguration() {
-    if (!this.baseUrl || typeof this.baseUrl !== 'string') {
-      throw new Error('Invalid baseUrl configuration');
+    if (!this.sourceSpec || typeof this.sourceSpec !== 'string') {
+      throw new ConfigurationError('Invalid source configuration: set baseUrl or source');
+    }
+    if (this.revision !== null && (typeof this.revision !== 'string' || !/^[\w./-]+$/.test(this.revision))) {
+      throw new ConfigurationError(`Invalid revision "${this.revision}": expected a commit SHA, tag or branch name`);
+    }
+    if (this.sourceSpec.includes(REVISION_PLACEHOLDER) && !this.revision) {
+      throw new ConfigurationError(`Invalid source configuration: ${this.sourceSpec} needs a revision to fill in ${REVISION_PLACEHOLDER}`);
     }
     if (!this.outputDir || typeof this.outputDir !== 'string') {
-      throw new Error('Invalid outputDir configuration');
+      throw new ConfigurationError('Invalid outputDir configuration');
+    }
+    const { policy, concurrency, backoff, maxRetryDelay } = this.fetchOptions;
+    if (!['strict', 'tolerant'].includes(policy)) {
+      throw new ConfigurationError(`Invalid fetch policy "${policy}" (expected strict or tolerant)`);
+    }
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new ConfigurationError('Invalid fetch.concurrency: expected a positive integer');
     }
+    [['fetch.backoff', backoff], ['fetch.maxRetryDelay', maxRetryDelay], ['timeout', this.timeout]].forEach(([name, value]) => {
+      if (typeof value !== 'number' || !(value >= 0)) {
+        throw new ConfigurationError(`Invalid ${name}: expected a number of milliseconds`);
+      }
+    });
+    Object.entries(this.sanityCheck || {}).forEach(([name, value]) => {
+      if (typeof value !== 'number' || value < 0 || value > 1) {
+        throw new ConfigurationError(`Invalid sanityCheck.${name}: expected a fraction between 0 and 1`);
+      }
+    });
     if (!this.privacyCategories || !(this.privacyCategories instanceof Set)) {
-      throw new Error('Invalid privacyCategories configuration');
+      throw new ConfigurationError('Invalid privacyCategories configuration');
+    }
+    if (!Array.isArray(this.overlays) || this.overlays.some(file => typeof file !== 'string')) {
+      throw new ConfigurationError('Invalid overlays configuration: expected an array of file paths');
+    }
+    if (!Array.isArray(this.outputFormats) || this.outputFormats.some(format => !OUTPUT_FORMATS.includes(format))) {
+      throw new ConfigurationError(`Invalid outputFormats: expected an array of ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    const trackerRiskLevel = this.trackerDomains.riskLevel;
+    if (trackerRiskLevel !== undefined && !RISK_THRESHOLDS[trackerRiskLevel]) {
+      throw new ConfigurationError(`Invalid trackerDomains.riskLevel "${trackerRiskLevel}" (expected low, medium or high)`);
+    }
+    const { exclude: lintExclude, minLiteralLength, ignore } = this.patternLint;
+    if (lintExclude !== 'none' && !SEVERITIES.includes(lintExclude)) {
+      throw new ConfigurationError(`Invalid patternLint.exclude "${lintExclude}" (expected none, ${SEVERITIES.join(', ')})`);
+    }
+    if (!Number.isInteger(minLiteralLength) || minLiteralLength < 0) {
+      throw new ConfigurationError('Invalid patternLint.minLiteralLength: expected a non-negative integer');
+    }
+    if (!Array.isArray(ignore) || ignore.some(rule => !RULES[rule])) {
+      throw new ConfigurationError(`Invalid patternLint.ignore: expected an array of ${Object.keys(RULES).join(', ')}`);
+    }
+    const { minify, compression, ndjson, shards, files } = this.compactOutput;
+    if (typeof minify !== 'boolean' || typeof ndjson !== 'boolean') {
+      throw new ConfigurationError('Invalid compactOutput: minify and ndjson must be booleans');
+    }
+    if (!Array.isArray(compression) || compression.some(name => !COMPRESSIONS[name])) {
+      throw new ConfigurationError(`Invalid compactOutput.compression: expected an array of ${Object.keys(COMPRESSIONS).join(', ')}`);
+    }
+    if (shards !== null && !SHARD_STRATEGIES.includes(shards)) {
+      throw new ConfigurationError(`Invalid compactOutput.shards "${shards}" (expected null, ${SHARD_STRATEGIES.join(' or ')})`);
+    }
+    if (!Array.isArray(files) || files.some(file => typeof file !== 'string' || !file.endsWith('.json'))) {
+      throw new ConfigurationError('Invalid compactOutput.files: expected an array of JSON output file names');
+    }
+    this.validateWatchOptions(this.watchOptions);
+    const exclude = this.trackerDomains.exclude;
+    if (exclude !== undefined && (!Array.isArray(exclude) || exclude.some(domain => typeof domain !== 'string'))) {
+      throw new ConfigurationError('Invalid trackerDomains.exclude: expected an array of domains');
+    }
+    if (!this.scoringModel || typeof this.scoringModel.score !== 'function') {
+      throw new ConfigurationError('Invalid scoring model: expected an object with a score(name, tech) method');
+    }
+    const invalidPurposes = this.consentClassifier.invalidPurposes();
+    if (invalidPurposes.length > 0) {
+      throw new ConfigurationError(`Invalid consent purposes: ${invalidPurposes.join(', ')} (expected ${PURPOSES.join(', ')})`);
+    }
+    const thresholds = this.scoringModel.riskThresholds;
+    if (thresholds && !(thresholds.high >= thresholds.medium && thresholds.medium >= thresholds.low)) {
+      throw new ConfigurationError('Invalid scoring.riskThresholds: expected high >= medium >= low');
+    }
+    this.log('✅ Configuration validated');
+  }
+
+  validateWatchOptions({ interval, history, webhooks, command }) {
+    if (typeof interval !== 'number' || !(interval >= 1000)) {
+      throw new ConfigurationError('Invalid watch.interval: expected at least 1000 milliseconds');
+    }
+    if (!Number.isInteger(history) || history < 0) {
+      throw new ConfigurationError('Invalid watch.history: expected a non-negative number of snapshots');
+    }
+    const webhookUrl = webhook => (typeof webhook === 'string' ? webhook : webhook?.url);
+    if (!Array.isArray(webhooks) || webhooks.some(webhook => !/^https?:\/\//.test(webhookUrl(webhook) || ''))) {
+      throw new ConfigurationError('Invalid watch.webhooks: expected an array of http(s) URLs or { url, headers } objects');
+    }
+    if (command !== null && (typeof command !== 'string' || !command.trim())) {
+      throw new ConfigurationError('Invalid watch.command: expected a shell command or null');
     }
-    console.log('✅ Configuration validated');
   }
 
   validateCategories(categories) {
     if (!categories || typeof categories !== 'object') {
-      throw new Error('Invalid categories data received');
+      throw new ValidationError('Invalid categories data received');
     }
-    console.log(`✅ Categories validated: ${Object.keys(categories).length} categories`);
+    this.progress('validate', `✅ Categories validated: ${Object.keys(categories).length} categories`);
   }
 
   validateGroups(groups) {
     if (!groups || typeof groups !== 'object') {
-      throw new Error('Invalid groups data received');
+      throw new ValidationError('Invalid groups data received');
     }
-    console.log(`✅ Groups validated: ${Object.keys(groups).length} groups`);
+    this.progress('validate', `✅ Groups validated: ${Object.keys(groups).length} groups`);
   }
 
   validateTechnologies(technologies) {
     if (!technologies || typeof technologies !== 'object') {
-      throw new Error('Invalid technologies data received');
+      throw new ValidationError('Invalid technologies data received');
     }
     const techCount = Object.keys(technologies).length;
     if (techCount === 0) {
-      throw new Error('No technologies loaded');
+      throw new ValidationError('No technologies loaded');
     }
-    console.log(`✅ Technologies validated: ${techCount} technologies`);
+    this.progress('validate', `✅ Technologies validated: ${techCount} technologies`);
   }
 
-  async fetchJson(url, retries = null) {
-    const maxRetries = retries || this.retries;
-    console.log(`Fetching: ${url}`);
+  async applyOverlays(technologies) {
+    const overlays = await loadOverlays(this.overlays, this.configDir);
+    const merged = applyOverlays(technologies, overlays);
+    this.overlayInputs = overlays.map(({ file, origin, sha256: hash }) => ({ file, origin, sha256: hash }));
+    this.provenance = merged.provenance;
+    this.overlayReport = merged.report;
+
+    merged.report.forEach(({ origin, added, patched, replaced, removed, missing }) => {
+      this.progress('overlay', `🧬 Applied ${origin}: +${added.length} added, ${patched.length} patched, ${replaced.length} replaced, -${removed.length} removed`, {
+        origin,
+        added: added.length,
+        patched: patched.length,
+        replaced: replaced.length,
+        removed: removed.length
+      });
+      if (missing.length > 0) {
+        this.warn(`${origin} removes unknown technologies: ${missing.join(', ')}`, { type: 'overlay', origin, missing });
+      }
+    });
 
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        const response = await fetch(url, {
-          headers: {
-            'User-Agent': this.userAgent
-          },
-          timeout: this.timeout
+    return merged.technologies;
+  }
+
+  originOf(name, field = null, key = null) {
+    return originOf(this.provenance, name, field, key);
+  }
+
+  async validateUpstream(categories, groups, technologies) {
+    const validated = validateUpstream({ categories, groups, technologies, generatedAt: this.buildTime });
+    const { summary } = validated.quarantine;
+    validated.quarantine.entries.forEach(entry => {
+      entry.origin = entry.kind === 'technology' ? this.originOf(entry.name, entry.field) : UPSTREAM;
+    });
+
+    if (summary.rejected + summary.coerced > 0) {
+      this.warn(`Quarantined upstream data: ${summary.rejected} entries rejected, ${summary.coerced} fields coerced (see quarantine.json)`, {
+        type: 'quarantine',
+        rejected: summary.rejected,
+        coerced: summary.coerced
+      });
+    }
+    await this.saveJson('quarantine.json', validated.quarantine);
+    return validated;
+  }
+
+  async createSource() {
+    this.pinnedRevision = await this.resolveRevision();
+    const spec = this.pinnedRevision
+      ? this.sourceSpec.split(REVISION_PLACEHOLDER).join(this.pinnedRevision)
+      : this.sourceSpec;
+
+    return createSource(spec, {
+      fetchText: url => this.fetchText(url),
+      log: message => this.log(message)
+    });
+  }
+
+  /**
+   * Commit that fills the source's `{revision}` placeholder: `revision` itself
+   * when it is a commit SHA, otherwise the commit GitHub resolves the branch
+   * or tag to. Falls back to the unresolved name with a warning.
+   */
+  async resolveRevision() {
+    if (!this.sourceSpec.includes(REVISION_PLACEHOLDER)) {
+      // Only an explicit --revision is worth a warning, not the config default
+      if (this.revision && this.revision !== this.config.revision) {
+        this.warn(`Ignoring revision ${this.revision}: ${this.sourceSpec} has no ${REVISION_PLACEHOLDER} placeholder`, {
+          type: 'revision',
+          revision: this.revision
         });
-        
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-        const data = await response.json();
-        if (!data || typeof data !== 'object') {
-          throw new Error('Invalid JSON response: not an object');
-        }
-        
-        return data;
-      } catch (error) {
-        const isLastAttempt = attempt === maxRetries;
-        const errorMsg = `Failed to fetch ${url} (attempt ${attempt}/${maxRetries}): ${error.message}`;
-        
-        if (isLastAttempt) {
-          console.error(errorMsg);
-          throw new Error(errorMsg);
-        } else {
-          console.warn(`${errorMsg} - Retrying in ${attempt * 2} seconds...`);
-          await new Promise(resolve => setTimeout(resolve, attempt * 2000));
-        }
       }
+      return null;
+    }
+    if (isCommitSha(this.revision)) {
+      return this.revision.toLowerCase();
+    }
+
+    const repository = githubRepository(this.sourceSpec);
+    if (!repository) {
+      this.warn(`Cannot resolve ${this.revision} to a commit outside GitHub, the build is not pinned`, { type: 'revision', revision: this.revision });
+      return this.revision;
+    }
+
+    try {
+      const commit = (await this.fetchText(commitApiUrl(repository, this.revision), { Accept: 'application/vnd.github.sha' })).trim();
+      if (!isCommitSha(commit)) {
+        throw new Error(`unexpected response "${commit.slice(0, 60)}"`);
+      }
+      this.progress('source', `📌 Pinned ${this.revision} to commit ${commit}`, { revision: this.revision, commit });
+      return commit;
+    } catch (error) {
+      this.warn(`Could not resolve ${this.revision} to a commit, the build is not pinned: ${error.message}`, {
+        type: 'revision',
+        revision: this.revision,
+        error
+      });
+      return this.revision;
     }
   }
 
+  async fetchText(url, headers = {}, retries = null) {
+    return this.http.fetchText(url, { headers, retries: retries || undefined });
+  }
+
   async fetchAllTechnologies() {
-    console.log('Fetching all technology files...');
+    this.progress('fetch', 'Fetching all technology files...');
 
     const technologies = {};
-    const letters = 'abcdefghijklmnopqrstuvwxyz_'.split('');
+    const letters = TECHNOLOGY_LETTERS;
     const fetchPromises = [];
+    const failures = [];
     let completed = 0;
 
     for (const letter of letters) {
-      const promise = this.fetchJson(`${this.baseUrl}/technologies/${letter}.json`)
+      const promise = this.source.readJson(`technologies/${letter}.json`)
           .then(data => {
             completed++;
-            const progress = Math.round((completed / letters.length) * 100);
-            console.log(`[${progress}%] Loaded ${Object.keys(data).length} technologies from ${letter}.json`);
+            const percent = Math.round((completed / letters.length) * 100);
+            this.progress('fetch', `[${percent}%] Loaded ${Object.keys(data).length} technologies from ${letter}.json`, {
+              file: `${letter}.json`,
+              completed,
+              total: letters.length,
+              percent
+            });
             return { letter, data };
           })
           .catch(error => {
             completed++;
-            const progress = Math.round((completed / letters.length) * 100);
-            console.warn(`[${progress}%] Failed to fetch ${letter}.json:`, error.message);
-            return { letter, data: {} };
+            const percent = Math.round((completed / letters.length) * 100);
+            this.warn(`[${percent}%] Failed to fetch ${letter}.json: ${error.message}`, {
+              type: 'fetch',
+              file: `${letter}.json`,
+              error
+            });
+            failures.push({ file: `technologies/${letter}.json`, error });
+            return { letter, data: null };
           });
 
       fetchPromises.push(promise);
@@ -187,69 +582,224 @@ class WappalyzerScraper {
 
     const results = await Promise.all(fetchPromises);
 
+    this.shardCounts = {};
     results.forEach(({ letter, data }) => {
+      if (!data) return;
       Object.assign(technologies, data);
+      this.shardCounts[`technologies/${letter}.json`] = Object.keys(data).length;
     });
 
-    console.log(`✅ Total technologies loaded: ${Object.keys(technologies).length}`);
+    // A missing file would silently drop every technology starting with its letter
+    this.missingInputs = failures.map(({ file }) => file).sort();
+    if (failures.length > 0) {
+      if (this.fetchOptions.policy === 'strict') {
+        throw new SourceError(`${failures.length} technology files could not be fetched: ${this.missingInputs.join(', ')} (fetch.policy is strict)`, {
+          files: this.missingInputs,
+          cause: failures[0].error
+        });
+      }
+      this.warn(`Continuing without ${this.missingInputs.join(', ')} (fetch.policy is tolerant), the datasets are incomplete`, {
+        type: 'incomplete',
+        files: this.missingInputs
+      });
+    }
+
+    this.log(`✅ Total technologies loaded: ${Object.keys(technologies).length}`);
     return technologies;
   }
 
   async generateDatasets(categories, groups, technologies) {
-    console.log('Generating datasets...');
+    this.invalidPatterns = [];
+    this.lintExclusions = new Map();
 
-    // Process datasets in batches to manage memory usage
+    // Every dataset stays in memory until it is saved, as the pattern lint needs them all
+    const relationships = this.resolveRelationships(categories, technologies);
     const datasets = [
-      { name: 'privacy-technologies', generator: () => this.generatePrivacyTechnologies(categories, technologies) },
+      { name: 'privacy-technologies', generator: () => this.generatePrivacyTechnologies(categories, technologies, relationships) },
       { name: 'cookie-patterns', generator: () => this.generateCookiePatterns(technologies) },
       { name: 'javascript-patterns', generator: () => this.generateJavaScriptPatterns(technologies) },
-      { name: 'network-patterns', generator: () => this.generateNetworkPatterns(technologies) }
+      { name: 'network-patterns', generator: () => this.generateNetworkPatterns(technologies) },
+      { name: 'header-patterns', generator: () => this.generateHeaderPatterns(technologies) },
+      { name: 'meta-patterns', generator: () => this.generateMetaPatterns(technologies) },
+      { name: 'html-patterns', generator: () => this.generateHtmlPatterns(technologies) },
+      { name: 'additional-patterns', generator: () => this.generateAdditionalPatterns(technologies) }
     ];
 
-    // Generate and save each dataset individually
+    // Generate each dataset, then save them once the pattern lint has run
+    const generated = {};
     for (const dataset of datasets) {
-      console.log(`🔄 Generating ${dataset.name}...`);
-      const data = dataset.generator();
-      await this.saveJson(`${dataset.name}.json`, data);
-      
+      this.progress('generate', `🔄 Generating ${dataset.name}...`, { dataset: dataset.name });
+      generated[dataset.name] = this.runGenerator(dataset.name, dataset.generator);
+    }
+
+    // Shared, over-broad and backtracking-prone patterns; flagged ones may be left out
+    this.progress('generate', '🔄 Linting patterns...', { dataset: 'pattern-lint' });
+    await this.saveJson('pattern-lint.json', this.lintPatterns(generated, relationships));
+
+    for (const dataset of datasets) {
+      await this.saveJson(`${dataset.name}.json`, generated[dataset.name]);
+      if (this.compactOutput.ndjson && dataset.name.endsWith('-patterns')) {
+        await this.saveNdjson(`${dataset.name}.ndjson`, generated[dataset.name]);
+      }
+
       // Force garbage collection if available
       if (global.gc) {
         global.gc();
       }
     }
 
-    // Generate privacy technologies for later use
-    console.log('🔄 Generating privacy technologies for reports...');
-    const privacyTechnologies = this.generatePrivacyTechnologies(categories, technologies);
+    // Compact index behind lookup(); written without indentation to keep it small
+    this.progress('generate', '🔄 Generating lookup index...', { dataset: 'lookup-index' });
+    const lookupIndex = this.withProvenance('lookup-index.json', this.runGenerator('lookup-index', () => buildLookupIndex({
+      cookiePatterns: generated['cookie-patterns'],
+      jsPatterns: generated['javascript-patterns'],
+      networkPatterns: generated['network-patterns'],
+      origins: Object.fromEntries(generated['privacy-technologies'].map(tech => [tech.name, tech.origin])),
+      generatedAt: this.runTimestamp()
+    })));
+    this.checkSchema('lookup-index.json', lookupIndex);
+    await this.saveFile('lookup-index.json', lookupIndex, JSON.stringify(lookupIndex));
+    this.log(`🔎 Indexed ${lookupIndex.stats.exactNames} names and ${lookupIndex.stats.hosts} hosts for lookups`);
+
+    // Patterns that failed to compile were left out of the datasets above
+    await this.saveJson('invalid-patterns.json', this.generateInvalidPatternsReport());
+
+    const privacyTechnologies = generated['privacy-technologies'];
+
+    // GDPR/CCPA consent purposes for technologies and their cookies
+    this.progress('generate', '🔄 Generating consent classification...', { dataset: 'consent-classification' });
+    const consent = this.generateConsentClassification(privacyTechnologies, generated['cookie-patterns']);
+    await this.saveJson('consent-classification.json', consent);
 
     // 5. Complete technology database (stream to avoid memory issues)
-    console.log('🔄 Generating complete database...');
+    this.progress('generate', '🔄 Generating complete database...', { dataset: 'complete-database' });
     const completeDb = {
       categories,
       groups,
       technologies,
+      origins: Object.fromEntries(Object.keys(technologies).map(name => [name, this.originOf(name)])),
+      overlays: this.overlayReport,
       metadata: {
         totalTechnologies: Object.keys(technologies).length,
         privacyTechnologies: privacyTechnologies.length,
-        generatedAt: new Date().toISOString(),
-        version: '1.0.0'
+        generatedAt: this.runTimestamp(),
+        version: SCRAPER_VERSION,
+        provenance: this.buildProvenance
       }
     };
     await this.saveJson('complete-database.json', completeDb);
 
     // 6. Browser extension ready format
-    console.log('🔄 Generating extension database...');
-    const extensionDb = this.generateExtensionDatabase(categories, technologies);
+    this.progress('generate', '🔄 Generating extension database...', { dataset: 'extension-database' });
+    const extensionDb = this.generateExtensionDatabase(categories, technologies, relationships);
     await this.saveJson('extension-database.json', extensionDb);
+    if (this.compactOutput.shards) {
+      await this.saveExtensionShards(extensionDb);
+    }
+
+    // Dangling implies/requires/excludes references and implication cycles
+    this.progress('generate', '🔄 Generating relationships report...', { dataset: 'relationships-report' });
+    const relationshipsReport = relationships.report(this.runTimestamp());
+    relationshipsReport.danglingReferences.forEach(reference => {
+      reference.origin = this.originOf(reference.technology, reference.field);
+    });
+    await this.saveJson('relationships-report.json', relationshipsReport);
+
+    // Ad-blocker filter list and declarativeNetRequest ruleset
+    this.progress('generate', '🔄 Generating blocklists...', { dataset: 'blocklists' });
+    await this.generateBlocklists(privacyTechnologies, generated['network-patterns']);
+
+    // Hostnames and registrable domains spelled out in network patterns
+    this.progress('generate', '🔄 Generating tracker domains...', { dataset: 'tracker-domains' });
+    await this.generateTrackerDomains(privacyTechnologies, generated['network-patterns']);
 
     // 7. Generate summary report
-    console.log('🔄 Generating summary report...');
-    await this.generateSummaryReport(categories, technologies, privacyTechnologies);
+    this.progress('generate', '🔄 Generating summary report...', { dataset: 'summary-report' });
+    const summaryReport = await this.generateSummaryReport(categories, technologies, privacyTechnologies, consent);
+
+    // Spreadsheet and browsable versions, as selected by outputFormats
+    if (this.outputFormats.includes('csv')) {
+      this.progress('generate', '🔄 Generating CSV exports...', { dataset: 'csv' });
+      await this.generateCsvExports(categories, privacyTechnologies, generated);
+    }
+    if (this.outputFormats.includes('html')) {
+      this.progress('generate', '🔄 Generating HTML report...', { dataset: 'report.html' });
+      await this.saveText('report.html', renderHtmlReport({
+        report: summaryReport,
+        privacyTechnologies,
+        patterns: {
+          cookies: generated['cookie-patterns'],
+          javascript: generated['javascript-patterns'],
+          network: generated['network-patterns']
+        },
+        consent,
+        generatedAt: new Date(this.runTimestamp()),
+        source: this.sourceLabel()
+      }));
+    }
 
-    console.log('✅ All datasets generated successfully');
+    // Custom generators registered by embedding code
+    const context = {
+      categories,
+      groups,
+      technologies,
+      privacyTechnologies,
+      relationships,
+      datasets: this.outputs,
+      scraper: this
+    };
+    for (const [name, generator] of this.generators) {
+      this.progress('generate', `🔄 Generating ${name}...`, { dataset: name, custom: true });
+      const data = await this.runGenerator(name, () => generator(context));
+      if (data === undefined || data === null) continue;
+
+      if (typeof data === 'string' && path.extname(name)) {
+        await this.saveText(name, data);
+      } else {
+        await this.saveJson(`${name}.json`, data);
+      }
+    }
+
+    // Publish the schemas of the files above for downstream consumers
+    await this.saveSchemas();
+
+    this.log('✅ All datasets generated successfully');
   }
 
-  generatePrivacyTechnologies(categories, technologies) {
+  async saveSchemas() {
+    if (!this.write) return;
+
+    const schemaDir = path.join(this.outputDir, 'schemas');
+    await this.ensureDirectory(schemaDir);
+    for (const filename of Object.keys(OUTPUT_SCHEMAS)) {
+      await this.saveJson(filename.replace(/\.json$/, '.schema.json'), schemaFor(filename), schemaDir);
+    }
+  }
+
+  runGenerator(name, generator) {
+    const fail = error => {
+      throw new DatasetError(`Failed to generate ${name}: ${error.message}`, { dataset: name, cause: error });
+    };
+
+    try {
+      const result = generator();
+      return result && typeof result.then === 'function' ? result.catch(fail) : result;
+    } catch (error) {
+      return fail(error);
+    }
+  }
+
+  resolveRelationships(categories, technologies) {
+    const graph = new RelationshipGraph(categories, technologies, {
+      threatLevelOf: (name, tech) => this.calculateThreatLevel(Array.isArray(tech.cats) ? tech.cats : [], tech, name)
+    });
+
+    const { summary } = graph.report();
+    this.log(`🔗 Resolved ${summary.impliesEdges} implies links (${summary.danglingReferences} dangling, ${summary.cycles} cycles)`);
+    return graph;
+  }
+
+  generatePrivacyTechnologies(categories, technologies, relationships = this.resolveRelationships(categories, technologies)) {
     const privacyTechs = [];
     let invalidTechs = 0;
 
@@ -268,9 +818,12 @@ class WappalyzerScraper {
       const hasPrivacyCategory = tech.cats.some(cat => 
         typeof cat === 'number' && this.privacyCategories.has(cat)
       );
-      if (!hasPrivacyCategory) return;
+      // Technologies outside the privacy categories still count when they imply one
+      const related = relationships.resolve(name);
+      if (!hasPrivacyCategory && related.effectiveThreatLevel === 0) return;
 
-      const threatLevel = this.calculateThreatLevel(tech.cats);
+      const scored = this.scoreTechnology(name, tech);
+      const threatLevel = scored.threatLevel;
       const categoryNames = tech.cats.map(cat => {
         if (typeof cat !== 'number' || !categories[cat]) {
           return `Unknown(${cat})`;
@@ -285,22 +838,36 @@ class WappalyzerScraper {
         categoryNames,
         threatLevel,
         riskLevel: this.getRiskLevel(threatLevel),
+        score: scored.score,
+        scoreBreakdown: scored.breakdown,
+        effectiveThreatLevel: related.effectiveThreatLevel,
+        effectiveRiskLevel: this.getRiskLevel(related.effectiveThreatLevel),
+        riskInheritedFrom: related.riskInheritedFrom,
+        implies: related.implies,
+        impliedBy: related.impliedBy,
+        requires: related.requires,
+        requiresCategory: related.requiresCategory,
+        excludes: related.excludes,
         detectionMethods: this.extractDetectionMethods(tech),
         cookies: this.extractCookies(tech),
         website: String(tech.website || ''),
         pricing: Array.isArray(tech.pricing) ? tech.pricing : [],
-        saas: Boolean(tech.saas)
+        saas: Boolean(tech.saas),
+        origin: this.originOf(name),
+        patchedBy: this.provenance.get(name)?.patchedBy || []
       });
     });
 
-    // Sort by threat level (high to low)
-    privacyTechs.sort((a, b) => b.threatLevel - a.threatLevel);
+    // Sort by effective threat level, then own threat level and score (high to low)
+    privacyTechs.sort((a, b) =>
+      b.effectiveThreatLevel - a.effectiveThreatLevel || b.threatLevel - a.threatLevel || b.score - a.score
+    );
 
     if (invalidTechs > 0) {
-      console.warn(`⚠️  Skipped ${invalidTechs} invalid technologies`);
+      this.warn(`Skipped ${invalidTechs} invalid technologies`, { type: 'invalid-technologies', count: invalidTechs });
     }
 
-    console.log(`📋 Generated ${privacyTechs.length} privacy-related technologies`);
+    this.log(`📋 Generated ${privacyTechs.length} privacy-related technologies`);
     return privacyTechs;
   }
 
@@ -310,20 +877,15 @@ class WappalyzerScraper {
     Object.entries(technologies).forEach(([name, tech]) => {
       if (!tech.cookies) return;
 
-      const cookiePatterns = typeof tech.cookies === 'object' ? Object.keys(tech.cookies) : [tech.cookies];
+      const cookies = typeof tech.cookies === 'object' ? tech.cookies : { [tech.cookies]: '' };
 
-      cookiePatterns.forEach(pattern => {
-        patterns.push({
-          technology: name,
-          pattern,
-          threatLevel: this.calculateThreatLevel(tech.cats || []),
-          categories: tech.cats || [],
-          description: tech.description || ''
-        });
+      toPatternEntries(cookies).forEach(({ key, pattern }) => {
+        const entry = this.buildPatternEntry(name, tech, 'cookies', key, structurePattern('cookies', key, pattern));
+        if (entry) patterns.push(entry);
       });
     });
 
-    console.log(`🍪 Generated ${patterns.length} cookie detection patterns`);
+    this.log(`🍪 Generated ${patterns.length} cookie detection patterns`);
     return patterns;
   }
 
@@ -333,20 +895,15 @@ class WappalyzerScraper {
     Object.entries(technologies).forEach(([name, tech]) => {
       if (!tech.js) return;
 
-      const jsPatterns = typeof tech.js === 'object' ? Object.keys(tech.js) : [tech.js];
+      const globals = typeof tech.js === 'object' ? tech.js : { [tech.js]: '' };
 
-      jsPatterns.forEach(pattern => {
-        patterns.push({
-          technology: name,
-          pattern,
-          threatLevel: this.calculateThreatLevel(tech.cats || []),
-          categories: tech.cats || [],
-          description: tech.description || ''
-        });
+      toPatternEntries(globals).forEach(({ key, pattern }) => {
+        const entry = this.buildPatternEntry(name, tech, 'js', key, structurePattern('js', key, pattern));
+        if (entry) patterns.push(entry);
       });
     });
 
-    console.log(`🔧 Generated ${patterns.length} JavaScript detection patterns`);
+    this.log(`🔧 Generated ${patterns.length} JavaScript detection patterns`);
     return patterns;
   }
 
@@ -359,37 +916,179 @@ class WappalyzerScraper {
       networkSources.forEach(source => {
         if (!tech[source]) return;
 
-        const sourcePatterns = Array.isArray(tech[source]) ? tech[source] : [tech[source]];
+        let structuredPatterns;
+        if (source === 'dom') {
+          // Skip DOM selectors that aren't URLs (only for string patterns)
+          const isSelectorList = typeof tech.dom === 'string' || Array.isArray(tech.dom);
+          structuredPatterns = structureDomPatterns(tech.dom)
+              .filter(structured => !isSelectorList || structured.selector.includes('http'));
+        } else {
+          structuredPatterns = toPatternEntries(tech[source]).map(({ pattern }) => ({
+            pattern,
+            ...structurePattern(source, null, pattern)
+          }));
+        }
+
+        structuredPatterns.forEach(({ pattern, ...structured }) => {
+          const entry = this.buildPatternEntry(name, tech, source, pattern, structured);
+          if (entry) patterns.push({ technology: entry.technology, type: source, ...entry });
+        });
+      });
+    });
+
+    this.log(`🌐 Generated ${patterns.length} network detection patterns`);
+    return patterns;
+  }
 
-        sourcePatterns.forEach(pattern => {
-          // Handle different pattern types safely
-          const patternStr = typeof pattern === 'string' ? pattern :
-              typeof pattern === 'object' ? JSON.stringify(pattern) :
-                  String(pattern);
+  generateHeaderPatterns(technologies) {
+    const patterns = this.collectPatterns(technologies, 'headers');
+    this.log(`📨 Generated ${patterns.length} header detection patterns`);
+    return patterns;
+  }
 
-          // Skip DOM patterns that aren't URLs (only for string patterns)
-          if (source === 'dom' && typeof pattern === 'string' && !pattern.includes('http')) return;
+  generateMetaPatterns(technologies) {
+    const patterns = this.collectPatterns(technologies, 'meta');
+    this.log(`🏷️  Generated ${patterns.length} meta tag detection patterns`);
+    return patterns;
+  }
 
-          patterns.push({
-            technology: name,
-            type: source,
-            pattern: patternStr,
-            threatLevel: this.calculateThreatLevel(tech.cats || []),
-            categories: tech.cats || [],
-            description: tech.description || ''
-          });
-        });
+  generateHtmlPatterns(technologies) {
+    const patterns = this.collectPatterns(technologies, 'html');
+    this.log(`📝 Generated ${patterns.length} HTML detection patterns`);
+    return patterns;
+  }
+
+  generateAdditionalPatterns(technologies) {
+    const patterns = ADDITIONAL_PATTERN_TYPES.flatMap(type =>
+      this.collectPatterns(technologies, type).map(entry => ({ technology: entry.technology, type, ...entry }))
+    );
+    this.log(`🧩 Generated ${patterns.length} additional detection patterns (${ADDITIONAL_PATTERN_TYPES.join(', ')})`);
+    return patterns;
+  }
+
+  // Keyed fields (headers, meta, dns) use the key as `pattern`, like cookies;
+  // list fields (html, css, url, ...) use the pattern itself
+  collectPatterns(technologies, type) {
+    const patterns = [];
+
+    Object.entries(technologies).forEach(([name, tech]) => {
+      if (!tech || !tech[type]) return;
+
+      toPatternEntries(tech[type]).forEach(({ key, pattern }) => {
+        const entry = this.buildPatternEntry(name, tech, type, key === null ? pattern : key, structurePattern(type, key, pattern));
+        if (entry) patterns.push(entry);
       });
     });
 
-    console.log(`🌐 Generated ${patterns.length} network detection patterns`);
     return patterns;
   }
 
-  generateExtensionDatabase(categories, technologies) {
+  buildPatternEntry(name, tech, type, pattern, structured) {
+    const error = findPatternError(structured);
+    if (error) {
+      this.invalidPatterns.push({
+        technology: name,
+        type,
+        pattern,
+        regex: structured.regex,
+        valuePattern: structured.valuePattern,
+        error,
+        origin: this.originOf(name, type, pattern)
+      });
+      return null;
+    }
+
+    return {
+      technology: name,
+      pattern,
+      ...structured,
+      threatLevel: this.calculateThreatLevel(tech.cats || [], tech, name),
+      categories: tech.cats || [],
+      description: tech.description || '',
+      origin: this.originOf(name, type, pattern)
+    };
+  }
+
+  generateInvalidPatternsReport() {
+    const byType = {};
+    this.invalidPatterns.forEach(({ type }) => {
+      byType[type] = (byType[type] || 0) + 1;
+    });
+
+    if (this.invalidPatterns.length > 0) {
+      this.warn(`Excluded ${this.invalidPatterns.length} patterns that do not compile in JavaScript`, {
+        type: 'invalid-patterns',
+        count: this.invalidPatterns.length
+      });
+    }
+
+    return {
+      generatedAt: this.runTimestamp(),
+      total: this.invalidPatterns.length,
+      byType,
+      patterns: this.invalidPatterns
+    };
+  }
+
+  /**
+   * Lints the cookie, JavaScript and network patterns, removes the entries
+   * flagged at or above patternLint.exclude from `generated` and remembers
+   * them for the extension database. Returns the pattern-lint.json report.
+   */
+  lintPatterns(generated, relationships) {
+    const linted = { 'cookie-patterns': 'cookies', 'javascript-patterns': 'js', 'network-patterns': null };
+    const implied = new Map();
+    const impliesOf = name => {
+      if (!implied.has(name)) {
+        implied.set(name, new Set(relationships.resolve(name).implies.map(chain => chain.name)));
+      }
+      return implied.get(name);
+    };
+
+    const { report, excluded } = this.runGenerator('pattern-lint', () => lintPatterns(
+        Object.fromEntries(Object.keys(linted).map(name => [name, generated[name]])),
+        { ...this.patternLint, related: (a, b) => impliesOf(a).has(b) || impliesOf(b).has(a) }
+    ));
+
+    Object.entries(linted).forEach(([name, field]) => {
+      generated[name] = generated[name].filter(entry => {
+        if (!excluded.has(entry)) return true;
+
+        if (!this.lintExclusions.has(entry.technology)) this.lintExclusions.set(entry.technology, new Map());
+        const fields = this.lintExclusions.get(entry.technology);
+        const type = entry.type || field;
+        if (!fields.has(type)) fields.set(type, new Set());
+        fields.get(type).add(entry.pattern);
+        return false;
+      });
+    });
+
+    const { bySeverity, excluded: excludedCount } = report.summary;
+    this.log(`🧹 Linted ${report.summary.patterns} patterns: ${bySeverity.error} errors, ${bySeverity.warning} warnings, ${bySeverity.info} info`);
+    if (excludedCount > 0) {
+      this.warn(`Excluded ${excludedCount} patterns flagged by the pattern lint (${this.patternLint.exclude} and above)`, {
+        type: 'pattern-lint',
+        count: excludedCount
+      });
+    } else if (bySeverity.error > 0) {
+      this.warn(`${bySeverity.error} patterns may backtrack catastrophically; see pattern-lint.json`, {
+        type: 'pattern-lint',
+        count: bySeverity.error
+      });
+    }
+
+    return { generatedAt: this.runTimestamp(), ...report };
+  }
+
+  // Raw detection field without the patterns the lint excluded
+  withoutExcluded(name, type, value) {
+    return withoutPatterns(type, value, this.lintExclusions.get(name)?.get(type));
+  }
+
+  generateExtensionDatabase(categories, technologies, relationships = this.resolveRelationships(categories, technologies)) {
     const db = {
-      version: '1.0.0',
-      generatedAt: new Date().toISOString(),
+      version: SCRAPER_VERSION,
+      generatedAt: this.runTimestamp(),
       categories: {},
       privacyCategories: Array.from(this.privacyCategories),
       technologies: {}
@@ -404,28 +1103,101 @@ class WappalyzerScraper {
 
     // Include only privacy-related technologies with simplified structure
     Object.entries(technologies).forEach(([name, tech]) => {
-      if (!tech.cats || !tech.cats.some(cat => this.privacyCategories.has(cat))) return;
+      if (!tech.cats || !Array.isArray(tech.cats)) return;
+
+      const related = relationships.resolve(name);
+      const hasPrivacyCategory = tech.cats.some(cat => this.privacyCategories.has(cat));
+      if (!hasPrivacyCategory && related.effectiveThreatLevel === 0) return;
 
       db.technologies[name] = {
         cats: tech.cats,
         description: tech.description || '',
-        threatLevel: this.calculateThreatLevel(tech.cats),
-        cookies: tech.cookies || {},
-        js: tech.js || {},
-        scriptSrc: tech.scriptSrc || [],
-        xhr: tech.xhr || [],
-        dom: tech.dom || [],
+        threatLevel: this.calculateThreatLevel(tech.cats, tech, name),
+        score: this.scoreTechnology(name, tech).score,
+        effectiveThreatLevel: related.effectiveThreatLevel,
+        implies: related.implies.map(chain => chain.name),
+        requires: related.requires,
+        requiresCategory: related.requiresCategory,
+        excludes: related.excludes,
+        cookies: this.withoutExcluded(name, 'cookies', tech.cookies || {}),
+        js: this.withoutExcluded(name, 'js', tech.js || {}),
+        scriptSrc: this.withoutExcluded(name, 'scriptSrc', tech.scriptSrc || []),
+        xhr: this.withoutExcluded(name, 'xhr', tech.xhr || []),
+        dom: this.withoutExcluded(name, 'dom', tech.dom || []),
         headers: tech.headers || {},
+        meta: tech.meta || {},
+        html: tech.html || [],
+        url: tech.url || [],
         saas: tech.saas || false,
-        pricing: tech.pricing || []
+        pricing: tech.pricing || [],
+        origin: this.originOf(name)
       };
     });
 
-    console.log(`🔌 Generated extension database with ${Object.keys(db.technologies).length} technologies`);
+    this.log(`🔌 Generated extension database with ${Object.keys(db.technologies).length} technologies`);
     return db;
   }
 
-  async generateSummaryReport(categories, technologies, privacyTechnologies) {
+  generateConsentClassification(privacyTechnologies, cookiePatterns) {
+    const classification = this.consentClassifier.classify(privacyTechnologies, cookiePatterns, this.runTimestamp());
+    const { technologies } = classification.summary;
+
+    if (technologies.byPurpose.unclassified > 0) {
+      this.warn(`${technologies.byPurpose.unclassified} technologies have no consent purpose (treated as requiring consent)`, {
+        type: 'unclassified-consent',
+        count: technologies.byPurpose.unclassified
+      });
+    }
+    this.log(`⚖️  Classified ${technologies.total} technologies and ${classification.summary.cookies.total} cookies into consent purposes`);
+    return classification;
+  }
+
+  async generateBlocklists(privacyTechnologies, networkPatterns) {
+    const { filterList, dnrRules, dnrRuleMap, report } = buildBlocklists(
+        privacyTechnologies,
+        networkPatterns,
+        { ...this.blocklist, generatedAt: this.runTimestamp(), source: this.sourceLabel() }
+    );
+
+    await this.saveText('privacy-filters.txt', filterList);
+    await this.saveJson('dnr-rules.json', dnrRules);
+    await this.saveJson('dnr-rules-map.json', dnrRuleMap);
+    await this.saveJson('blocklist-report.json', report);
+
+    if (report.untranslatable.length > 0) {
+      this.warn(`${report.untranslatable.length} patterns could not be translated (see blocklist-report.json)`, {
+        type: 'untranslatable-patterns',
+        count: report.untranslatable.length
+      });
+    }
+    this.log(`🛑 Generated ${report.abpFilters} filters and ${report.dnrRules} DNR rules (${report.riskLevel} risk and above)`);
+    return report;
+  }
+
+  async generateTrackerDomains(privacyTechnologies, networkPatterns) {
+    const { trackerDomains, report, hostsFile, domainList } = buildTrackerDomains(
+        privacyTechnologies,
+        networkPatterns,
+        { ...this.trackerDomains, generatedAt: this.runTimestamp(), source: this.sourceLabel() }
+    );
+
+    await this.saveJson('tracker-domains.json', trackerDomains);
+    await this.saveJson('tracker-domains-report.json', report);
+    await this.saveText('tracker-hosts.txt', hostsFile);
+    await this.saveText('tracker-domains.txt', domainList);
+
+    const { summary } = report;
+    if (summary.unextractablePatterns > 0) {
+      this.warn(`${summary.unextractablePatterns} network patterns have no extractable hostname (see tracker-domains-report.json)`, {
+        type: 'unextractable-hostnames',
+        count: summary.unextractablePatterns
+      });
+    }
+    this.log(`🗺️  Extracted ${summary.hostnames} tracker hostnames on ${summary.domains} domains from ${summary.vendors} vendors`);
+    return trackerDomains;
+  }
+
+  async generateSummaryReport(categories, technologies, privacyTechnologies, consent = null) {
     const report = {
       summary: {
         totalTechnologies: Object.keys(technologies).length,
@@ -435,20 +1207,41 @@ class WappalyzerScraper {
       riskDistribution: {
         high: privacyTechnologies.filter(t => t.riskLevel === 'high').length,
         medium: privacyTechnologies.filter(t => t.riskLevel === 'medium').length,
-        low: privacyTechnologies.filter(t => t.riskLevel === 'low').length
+        low: privacyTechnologies.filter(t => t.riskLevel === 'low').length,
+        inherited: privacyTechnologies.filter(t => t.effectiveThreatLevel > t.threatLevel).length
       },
       categoryBreakdown: {},
+      origins: this.countOrigins(privacyTechnologies),
+      overlays: this.overlayReport.map(({ origin, added, patched, replaced, removed }) => ({
+        origin,
+        added: added.length,
+        patched: patched.length,
+        replaced: replaced.length,
+        removed: removed.length
+      })),
       topThreats: privacyTechnologies.slice(0, 20).map(t => ({
         name: t.name,
         threatLevel: t.threatLevel,
         riskLevel: t.riskLevel,
-        categories: t.categoryNames
+        origin: t.origin,
+        score: t.score,
+        categories: t.categoryNames,
+        scoreBreakdown: t.scoreBreakdown
       })),
+      consentCoverage: consent ? consent.summary : null,
+      scoringModel: typeof this.scoringModel.describe === 'function' ? this.scoringModel.describe() : null,
+      scoreBreakdowns: Object.fromEntries(privacyTechnologies.map(t => [t.name, t.scoreBreakdown])),
       detectionMethodStats: {
         cookies: privacyTechnologies.filter(t => t.cookies.length > 0).length,
         javascript: privacyTechnologies.filter(t => t.detectionMethods.includes('javascript')).length,
         network: privacyTechnologies.filter(t => t.detectionMethods.includes('network')).length,
-        dom: privacyTechnologies.filter(t => t.detectionMethods.includes('dom')).length
+        dom: privacyTechnologies.filter(t => t.detectionMethods.includes('dom')).length,
+        headers: privacyTechnologies.filter(t => t.detectionMethods.includes('headers')).length,
+        meta: privacyTechnologies.filter(t => t.detectionMethods.includes('meta')).length,
+        html: privacyTechnologies.filter(t => t.detectionMethods.includes('html')).length,
+        additional: Object.fromEntries(ADDITIONAL_PATTERN_TYPES.map(type =>
+          [type, privacyTechnologies.filter(t => t.detectionMethods.includes(type)).length]
+        ))
       }
     };
 
@@ -462,16 +1255,41 @@ class WappalyzerScraper {
     await this.saveJson('summary-report.json', report);
 
     // Generate human-readable report
-    const readableReport = this.generateReadableReport(report);
-    await fs.writeFile(path.join(this.outputDir, 'REPORT.md'), readableReport);
+    if (this.outputFormats.includes('markdown')) {
+      const readableReport = this.generateReadableReport(report);
+      await this.saveText('REPORT.md', readableReport);
+    }
 
-    console.log('📊 Generated summary report');
+    this.log('📊 Generated summary report');
+    return report;
+  }
+
+  async generateCsvExports(categories, privacyTechnologies, datasets) {
+    await this.saveText('privacy-technologies.csv', privacyTechnologiesCsv(privacyTechnologies));
+
+    for (const [name, patterns] of Object.entries(datasets)) {
+      if (!name.endsWith('-patterns')) continue;
+      await this.saveText(`${name}.csv`, patternsCsv(patterns, categories));
+    }
+  }
+
+  countOrigins(privacyTechnologies) {
+    const origins = {};
+    privacyTechnologies.forEach(({ origin, patchedBy }) => {
+      origins[origin] = (origins[origin] || 0) + 1;
+      patchedBy.forEach(overlay => {
+        const key = `${overlay} (patched)`;
+        origins[key] = (origins[key] || 0) + 1;
+      });
+    });
+    return origins;
   }
 
   generateReadableReport(report) {
+    const source = this.sourceLabel();
     return `# Wappalyzer Privacy Technology Analysis Report
 
-Generated on: ${new Date().toLocaleDateString()}
+Generated on: ${this.runTimestamp().slice(0, 10)}${source ? ` from ${source}` : ''}
 
 ## Summary
 - **Total Technologies**: ${report.summary.totalTechnologies.toLocaleString()}
@@ -481,6 +1299,7 @@ Generated on: ${new Date().toLocaleDateString()}
 - 🔴 **High Risk**: ${report.riskDistribution.high} technologies
 - 🟡 **Medium Risk**: ${report.riskDistribution.medium} technologies  
 - 🟢 **Low Risk**: ${report.riskDistribution.low} technologies
+- 🔗 **Inherited Risk**: ${report.riskDistribution.inherited} technologies rated higher through implied technologies
 
 ## Category Breakdown
 ${Object.entries(report.categoryBreakdown)
@@ -493,10 +1312,25 @@ ${Object.entries(report.categoryBreakdown)
 - 🔧 **JavaScript Detection**: ${report.detectionMethodStats.javascript} technologies
 - 🌐 **Network Detection**: ${report.detectionMethodStats.network} technologies
 - 📄 **DOM Detection**: ${report.detectionMethodStats.dom} technologies
+- 📨 **Header Detection**: ${report.detectionMethodStats.headers} technologies
+- 🏷️ **Meta Tag Detection**: ${report.detectionMethodStats.meta} technologies
+- 📝 **HTML Detection**: ${report.detectionMethodStats.html} technologies
+- 🧩 **Other Vectors**: ${Object.entries(report.detectionMethodStats.additional)
+        .map(([type, count]) => `${type} ${count}`)
+        .join(', ')}
+
+${report.consentCoverage ? `${this.generateConsentSection(report.consentCoverage)}
+
+` : ''}${report.overlays.length > 0 ? `## Overlays
+${report.overlays.map(overlay =>
+        `- **${overlay.origin}**: ${overlay.added} added, ${overlay.patched} patched, ${overlay.replaced} replaced, ${overlay.removed} removed`
+    ).join('\n')}
+
+Privacy technologies by origin: ${Object.entries(report.origins).map(([origin, count]) => `${origin} ${count}`).join(', ')}
 
-## Top 20 Privacy Threats
+` : ''}## Top 20 Privacy Threats
 ${report.topThreats.map((tech, i) =>
-        `${i + 1}. **${tech.name}** (${tech.riskLevel.toUpperCase()}) - ${tech.categories.join(', ')}`
+        `${i + 1}. **${tech.name}** (${tech.riskLevel.toUpperCase()}, score ${tech.score}) - ${tech.categories.join(', ')}${this.describeBonuses(tech.scoreBreakdown)}${tech.origin !== UPSTREAM ? ` [${tech.origin}]` : ''}`
     ).join('\n')}
 
 ---
@@ -504,11 +1338,365 @@ ${report.topThreats.map((tech, i) =>
 `;
   }
 
-  calculateThreatLevel(categories) {
-    if (categories.some(cat => this.highRiskCategories.has(cat))) return 3;
-    if (categories.some(cat => this.mediumRiskCategories.has(cat))) return 2;
-    if (categories.some(cat => this.privacyCategories.has(cat))) return 1;
-    return 0;
+  generateConsentSection({ technologies, cookies }) {
+    const row = purpose =>
+      `| ${PURPOSE_LABELS[purpose]} | ${technologies.byPurpose[purpose]} | ${cookies.byPurpose[purpose]} |`;
+    const tcf = Object.entries(technologies.tcfPurposes)
+        .sort(([a], [b]) => a - b)
+        .map(([id, count]) => `${id}: ${count}`)
+        .join(', ');
+
+    return `## Consent Purpose Coverage
+| Purpose | Technologies | Cookies |
+|---------|--------------|---------|
+${[...PURPOSES, 'unclassified'].map(row).join('\n')}
+
+- 🔐 **Require Consent (GDPR)**: ${technologies.requiresConsent} technologies, ${cookies.requiresConsent} cookies
+- 💸 **Sale / Share (CCPA)**: ${technologies.ccpaSaleOrShare} technologies, ${cookies.ccpaSaleOrShare} cookies
+- 🏷️ **IAB TCF Purposes** (technologies per purpose ID): ${tcf || 'None'}`;
+  }
+
+  async loadDetector(database = null) {
+    const db = database || this.outputs['extension-database.json'] ||
+      await this.readJsonFile(path.join(this.outputDir, 'extension-database.json'));
+
+    this.detector = new Detector(db, {
+      getRiskLevel: threatLevel => this.getRiskLevel(threatLevel)
+    });
+
+    if (this.detector.invalidPatterns.length > 0) {
+      this.warn(`Skipped ${this.detector.invalidPatterns.length} patterns that do not compile`, {
+        type: 'invalid-patterns',
+        count: this.detector.invalidPatterns.length
+      });
+    }
+    return this.detector;
+  }
+
+  async detect(pageData) {
+    if (!this.detector) {
+      await this.loadDetector();
+    }
+    return this.detector.detect(pageData);
+  }
+
+  async loadLookup(index = null) {
+    const data = index || this.outputs['lookup-index.json'] ||
+      await this.readJsonFile(path.join(this.outputDir, 'lookup-index.json'));
+
+    this.lookupIndex = new LookupIndex(data, {
+      getRiskLevel: threatLevel => this.getRiskLevel(threatLevel)
+    });
+    return this.lookupIndex;
+  }
+
+  /**
+   * Returns the technologies matching a cookie name, JavaScript global or URL
+   * (each a string or an array), using lookup-index.json.
+   */
+  async lookup(query) {
+    if (!this.lookupIndex) {
+      await this.loadLookup();
+    }
+    return this.lookupIndex.lookup(query);
+  }
+
+  /**
+   * Times lookup() against a scan of the flat cookie, JavaScript and network
+   * pattern lists and reports queries where the two disagree.
+   */
+  async benchmarkLookup(options = {}) {
+    if (!this.lookupIndex) {
+      await this.loadLookup();
+    }
+
+    const dataset = async filename => this.outputs[filename] ||
+      this.readJsonFile(path.join(this.outputDir, filename));
+    const flat = new FlatLookup({
+      cookiePatterns: await dataset('cookie-patterns.json'),
+      jsPatterns: await dataset('javascript-patterns.json'),
+      networkPatterns: await dataset('network-patterns.json')
+    });
+
+    this.progress('benchmark', '⏱️  Benchmarking lookup index against flat pattern lists...');
+    return benchmarkLookup(this.lookupIndex, flat, options);
+  }
+
+  /**
+   * Loads privacy-technologies.json, complete-database.json and the pattern
+   * datasets for search(), show() and explain() (see lib/explorer.js).
+   */
+  async loadExplorer() {
+    const dataset = async (filename, optional = false) => {
+      const filepath = path.join(this.outputDir, filename);
+      if (this.outputs[filename]) return this.outputs[filename];
+      if (optional && !(await fs.stat(filepath).catch(() => null))) return [];
+      return this.readJsonFile(filepath);
+    };
+
+    const patterns = {};
+    for (const [field, filename] of Object.entries(PATTERN_FILES)) {
+      patterns[field] = await dataset(filename, true);
+    }
+    this.explorer = new DatasetExplorer({
+      technologies: await dataset('privacy-technologies.json'),
+      database: await dataset('complete-database.json'),
+      patterns,
+      scoringModel: this.scoringModel
+    });
+    return this.explorer;
+  }
+
+  /**
+   * Privacy technologies matching every filter: name (part of the name) and
+   * risk, category (ID or name), method and saas.
+   */
+  async search(filters = {}) {
+    if (!this.explorer) {
+      await this.loadExplorer();
+    }
+    return this.explorer.search(filters);
+  }
+
+  // A technology (case-insensitive name) with all its fields and patterns, or null
+  async show(name) {
+    if (!this.explorer) {
+      await this.loadExplorer();
+    }
+    return this.explorer.show(name);
+  }
+
+  /**
+   * Scores a technology with the current scoring model and breaks the result
+   * down by category, bonus, override and threshold; null when unknown.
+   */
+  async explain(name) {
+    if (!this.explorer) {
+      await this.loadExplorer();
+    }
+    return this.explorer.explain(name);
+  }
+
+  /**
+   * Looks up values that may be a cookie name, a JavaScript global or a URL:
+   * values with a scheme (or starting with //) are matched as URLs, anything
+   * else as both a cookie name and a global.
+   */
+  async match(values) {
+    const query = { cookie: [], jsGlobal: [], url: [] };
+    [].concat(values).forEach(value => {
+      if (/^[a-z][a-z\d+.-]*:\/\//i.test(value)) {
+        query.url.push(value);
+      } else if (value.startsWith('//')) {
+        query.url.push(`https:${value}`);
+      } else {
+        query.cookie.push(value);
+        query.jsGlobal.push(value);
+      }
+    });
+    return this.lookup(query);
+  }
+
+  /**
+   * Serves the datasets in outputDir over HTTP (see lib/server.js) and
+   * resolves to the running server once it is listening.
+   */
+  async serve(options = {}) {
+    const server = new DatasetServer(options.outputDir || this.outputDir, {
+      log: message => this.log(message),
+      warn: (message, details) => this.warn(message, details),
+      getRiskLevel: threatLevel => this.getRiskLevel(threatLevel)
+    });
+
+    try {
+      await server.listen(options);
+    } catch (error) {
+      await server.close();
+      throw error.code === 'ENOENT' || error instanceof SyntaxError
+        ? new SourceError(`Cannot load datasets from ${server.outputDir}: ${error.message}`, { path: server.outputDir, cause: error })
+        : new ScraperError(`Cannot start server: ${error.message}`, { cause: error });
+    }
+    return server;
+  }
+
+  /**
+   * Re-runs the pipeline every watch.interval milliseconds. Source files are
+   * fetched with conditional requests, and a cycle whose source files,
+   * overlays and config match the last build's provenance.json skips
+   * regeneration. Options override the `watch` config; `cycles` stops after
+   * that many cycles. Resolves to a started Watcher: `done` settles when it
+   * ends and `stop()` ends it after the running cycle.
+   */
+  async watch(options = {}) {
+    const settings = { ...this.watchOptions, ...options };
+    this.validateConfiguration();
+    this.validateWatchOptions(settings);
+    this.http.useConditionalRequests();
+
+    this.progress('watch', `👀 Watching ${this.sourceSpec} every ${Math.round(settings.interval / 1000)}s`, { interval: settings.interval });
+    return new Watcher(cycle => this.watchCycle(settings, cycle), {
+      interval: settings.interval,
+      cycles: settings.cycles,
+      warn: (message, details) => this.warn(message, details)
+    }).start();
+  }
+
+  /**
+   * One watch cycle: regenerates when the source changed, keeps a history
+   * snapshot and sends dataset changes to the hooks. Resolves to
+   * { regenerated, reason, changes, snapshot, notified }.
+   */
+  async watchCycle(settings = this.watchOptions, cycle = 1) {
+    const check = await this.checkUpstream();
+    if (!check.changed) {
+      this.progress('watch', `⏸️  Cycle ${cycle}: source unchanged since ${check.since}, skipping regeneration`, { cycle, regenerated: false });
+      return { regenerated: false, reason: check.reason, changes: null, snapshot: null, notified: 0 };
+    }
+
+    this.progress('watch', `🔁 Cycle ${cycle}: ${check.reason}, regenerating...`, { cycle, regenerated: true, reason: check.reason });
+    const { changes } = await this.run();
+
+    let snapshot = null;
+    if (this.write && settings.history > 0) {
+      const name = snapshotName(this.runTimestamp());
+      const removed = await saveSnapshot(this.outputDir, name, settings.history);
+      snapshot = `${HISTORY_DIR}/${name}`;
+      this.log(`🗄️  Saved snapshot ${snapshot}${removed.length > 0 ? `, removed ${removed.length} older` : ''}`);
+    }
+
+    let notified = 0;
+    if (changes && changes.summary.total > 0) {
+      notified = await this.notifyChanges(changePayload(changes, {
+        generatedAt: this.runTimestamp(),
+        outputDir: path.resolve(this.outputDir),
+        source: this.sourceLabel(),
+        revision: this.pinnedRevision,
+        snapshot
+      }), settings);
+    } else {
+      this.log('ℹ️  Datasets unchanged, no notification sent');
+    }
+
+    return { regenerated: true, reason: check.reason, changes, snapshot, notified };
+  }
+
+  /**
+   * Compares the source files, overlays and config with the previous
+   * build's provenance.json. Resolves to { changed, reason, since }.
+   */
+  async checkUpstream() {
+    let previous;
+    try {
+      previous = JSON.parse(await fs.readFile(path.join(this.outputDir, PROVENANCE_FILE), 'utf8'));
+    } catch (error) {
+      const reason = error.code === 'ENOENT' ? 'no previous build' : `cannot read the previous ${PROVENANCE_FILE}`;
+      return { changed: true, reason, since: null };
+    }
+
+    // Files that fail to load are left to run() and the fetch policy
+    this.http.notModified = 0;
+    this.source = await this.createSource();
+    const files = ['categories.json', 'groups.json', ...TECHNOLOGY_LETTERS.map(letter => `technologies/${letter}.json`)];
+    await Promise.allSettled(files.map(file => this.source.readJson(file)));
+    const overlays = await loadOverlays(this.overlays, this.configDir);
+    if (this.http.notModified > 0) {
+      this.log(`📭 ${this.http.notModified} of ${files.length} files not modified since the last request`);
+    }
+
+    const inputs = compareInputs(
+        [...(previous.inputs || []), ...(previous.overlays || [])],
+        [...this.source.inputs(), ...overlays.map(({ file, sha256: hash }) => ({ file, sha256: hash }))]
+    );
+    const changed = [...inputs.changed, ...inputs.added, ...inputs.missing];
+    if (changed.length > 0) {
+      const listed = changed.slice(0, 5).join(', ') + (changed.length > 5 ? ', ...' : '');
+      return { changed: true, reason: `${changed.length} source files changed (${listed})`, since: previous.generatedAt };
+    }
+
+    // The pinned revision may move without touching the technology files
+    const config = digestConfig({ ...this.config, source: this.sourceSpec, revision: previous.config?.revision ?? null });
+    if (config !== previous.digests?.config) {
+      return { changed: true, reason: 'configuration changed', since: previous.generatedAt };
+    }
+    return { changed: false, reason: 'unchanged', since: previous.generatedAt };
+  }
+
+  // Sends the payload to every webhook and the command hook; a failing hook
+  // is reported as a warning and doesn't stop the others
+  async notifyChanges(payload, { webhooks = [], command = null } = this.watchOptions) {
+    let delivered = 0;
+
+    for (const webhook of webhooks) {
+      const { url, headers = {} } = typeof webhook === 'string' ? { url: webhook } : webhook;
+      const host = new URL(url).host;
+      try {
+        await this.http.postJson(url, payload, { headers });
+        delivered++;
+        this.progress('notify', `📣 Notified webhook ${host}`, { webhook: host });
+      } catch (error) {
+        this.warn(`Webhook ${host} failed: ${error.message}`, { type: 'notify', webhook: host, error });
+      }
+    }
+
+    if (command) {
+      try {
+        await runCommandHook(command, payload, {
+          timeout: this.timeout,
+          env: { WAPPALYZER_OUTPUT_DIR: path.resolve(this.outputDir) }
+        });
+        delivered++;
+        this.progress('notify', '📣 Ran command hook', { command });
+      } catch (error) {
+        this.warn(error.message, { type: 'notify', command, error });
+      }
+    }
+
+    return delivered;
+  }
+
+  async auditHar(harPath, options = {}) {
+    const outputDir = options.outputDir || path.join(this.outputDir, 'audits');
+    const har = await this.readJsonFile(harPath);
+    const sites = readHarSites(har);
+
+    if (!this.detector) {
+      await this.loadDetector();
+    }
+
+    if (this.write) {
+      await this.ensureDirectory(outputDir);
+    }
+    const reports = [];
+
+    for (const site of sites) {
+      this.progress('audit', `🔍 Auditing ${site.site} (${site.entries.length} requests)...`, { site: site.site });
+      const report = { harFile: path.resolve(harPath), ...auditSite(this.detector, site) };
+      const basename = site.site.replace(/[^a-z0-9.-]/gi, '_');
+
+      this.checkSchema('audit-report.json', report);
+      await this.saveJson(`${basename}.json`, report, outputDir);
+      await this.saveText(`${basename}.md`, renderAuditReport(report), outputDir);
+      this.log(`🕵️  ${site.site}: ${report.summary.trackers} trackers (${report.summary.thirdPartyTrackers} third-party)`);
+      reports.push(report);
+    }
+
+    return reports;
+  }
+
+  scoreTechnology(name, tech) {
+    return this.scoringModel.score(name, tech || {});
+  }
+
+  calculateThreatLevel(categories, tech = {}, name = '') {
+    return this.scoreTechnology(name, { ...tech, cats: categories }).threatLevel;
+  }
+
+  describeBonuses(breakdown) {
+    if (!breakdown) return '';
+    const notes = (breakdown.bonuses || []).map(bonus => `+${bonus.points} ${bonus.vector}`);
+    if (breakdown.override) notes.push('override');
+    if (breakdown.allowListed) notes.push('allow-listed');
+    return notes.length > 0 ? ` (${notes.join(', ')})` : '';
   }
 
   getRiskLevel(threatLevel) {
@@ -523,8 +1711,13 @@ ${report.topThreats.map((tech, i) =>
     if (tech.cookies) methods.push('cookies');
     if (tech.js) methods.push('javascript');
     if (tech.scriptSrc || tech.xhr) methods.push('network');
-    if (tech.dom || tech.html) methods.push('dom');
+    if (tech.dom) methods.push('dom');
+    if (tech.html) methods.push('html');
     if (tech.headers) methods.push('headers');
+    if (tech.meta) methods.push('meta');
+    ADDITIONAL_PATTERN_TYPES.forEach(type => {
+      if (tech[type]) methods.push(type);
+    });
     return methods;
   }
 
@@ -534,6 +1727,190 @@ ${report.topThreats.map((tech, i) =>
     return [tech.cookies];
   }
 
+  async generateChangeReport(previousSnapshot, currentDir = this.outputDir) {
+    if (!previousSnapshot) {
+      this.log('ℹ️  No previous output found, skipping change report');
+      return null;
+    }
+
+    this.progress('changes', '🔄 Generating change report...');
+    // Datasets generated by this run are diffed in memory, so nothing has to be on disk
+    const inMemory = path.resolve(currentDir) === path.resolve(this.outputDir)
+      ? snapshotFromOutputs(this.outputs, currentDir)
+      : null;
+    const currentSnapshot = inMemory || await loadSnapshot(currentDir);
+    if (!currentSnapshot) {
+      throw new ValidationError(`No privacy-technologies.json found in ${currentDir}`);
+    }
+
+    // A run's report shares its timestamp; the standalone diff has none and uses the current time
+    const changes = diffSnapshots(previousSnapshot, currentSnapshot, this.runTimestamp());
+    await this.saveJson('changes.json', changes, currentDir);
+    await this.saveText('CHANGES.md', renderChangelog(changes), currentDir);
+
+    const { summary } = changes;
+    this.log(`📝 ${summary.total} changes: +${summary.addedTechnologies}/-${summary.removedTechnologies} technologies, ${summary.riskChanges} risk changes, +${summary.addedPatterns}/-${summary.removedPatterns}/~${summary.changedPatterns} patterns`);
+    return changes;
+  }
+
+  async diffOutputs(previousDir, currentDir = this.outputDir, thresholds = this.changeThresholds) {
+    const previousSnapshot = await loadSnapshot(previousDir);
+    if (!previousSnapshot) {
+      throw new ValidationError(`No privacy-technologies.json found in ${previousDir}`);
+    }
+
+    const changes = await this.generateChangeReport(previousSnapshot, currentDir);
+    const violations = checkThresholds(changes, thresholds);
+    violations.forEach(({ metric, limit, actual }) => {
+      this.warn(`${metric}: ${actual} changes exceed the threshold of ${limit}`, { type: 'threshold', metric, limit, actual });
+    });
+    return { changes, violations };
+  }
+
+  /**
+   * Compares the technology count of each file with the previous run's
+   * provenance.json and throws a ValidationError when the total drops by
+   * more than sanityCheck.maxDrop or a single file by more than maxShardDrop.
+   */
+  async checkTechnologyCounts() {
+    if (!this.sanityCheck) return null;
+
+    let previous;
+    try {
+      previous = JSON.parse(await fs.readFile(path.join(this.outputDir, PROVENANCE_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.warn(`Cannot read the previous ${PROVENANCE_FILE}, skipping the technology count check: ${error.message}`, { type: 'sanity-check' });
+      }
+      return null;
+    }
+
+    const result = compareTechnologyCounts(previous.inputs, this.shardCounts, this.sanityCheck);
+    if (!result) return null;
+
+    if (result.violations.length > 0) {
+      const drops = result.violations.map(({ file, previous: before, current, drop }) =>
+        `${file} ${before} → ${current} (-${Math.round(drop * 100)}%)`);
+      throw new ValidationError(`Suspicious drop in technologies since the previous run: ${drops.join(', ')}. Raise sanityCheck.maxDrop or maxShardDrop if this is expected`, {
+        violations: result.violations
+      });
+    }
+    this.progress('validate', `✅ Technology count ${result.current} is within limits of the previous run (${result.previous})`, {
+      previous: result.previous,
+      current: result.current
+    });
+    return result;
+  }
+
+  runTimestamp() {
+    return this.buildTime || new Date().toISOString();
+  }
+
+  // Where the data came from, for the headers of text and report outputs
+  sourceLabel() {
+    return this.buildProvenance ? this.buildProvenance.source.location : null;
+  }
+
+  recordProvenance() {
+    return createProvenance({
+      generatedAt: this.runTimestamp(),
+      source: {
+        type: this.source.type,
+        spec: this.sourceSpec,
+        location: this.source.describe(),
+        ref: this.pinnedRevision ? this.revision : null,
+        revision: this.pinnedRevision
+      },
+      inputs: this.source.inputs().map(input => (
+        input.path in this.shardCounts ? { ...input, technologies: this.shardCounts[input.path] } : input
+      )),
+      missing: this.missingInputs,
+      overlays: this.overlayInputs,
+      config: { ...this.config, source: this.sourceSpec, revision: this.pinnedRevision }
+    });
+  }
+
+  async saveProvenance() {
+    const outputs = Object.fromEntries(Object.entries(this.outputHashes)
+        .filter(([file]) => !UNTRACKED_OUTPUTS.has(file))
+        .sort(([a], [b]) => a.localeCompare(b)));
+
+    await this.saveJson(PROVENANCE_FILE, { ...this.buildProvenance, outputs });
+    const { source, inputs } = this.buildProvenance;
+    this.log(`🧾 Recorded ${inputs.length} inputs${source.revision ? ` at ${source.revision}` : ''} and ${Object.keys(outputs).length} output hashes`);
+  }
+
+  /**
+   * Re-derives the outputs in `dir` from the source, revision, overlays and
+   * config recorded in its provenance.json (in memory, with the recorded
+   * timestamp) and compares them byte for byte with the files on disk.
+   * Resolves to { directory, revision, reproducible, inputs, identical, different }.
+   */
+  async verify(dir = this.outputDir) {
+    const recorded = await this.readJsonFile(path.join(dir, PROVENANCE_FILE));
+    if (!recorded.generatedAt || !recorded.source || !recorded.config || !recorded.inputs || !recorded.outputs) {
+      throw new ValidationError(`${PROVENANCE_FILE} in ${dir} is incomplete`, { path: dir });
+    }
+    if (recorded.scraper?.version !== SCRAPER_VERSION) {
+      this.warn(`${dir} was built by scraper ${recorded.scraper?.version}, verifying with ${SCRAPER_VERSION}`, {
+        type: 'version',
+        recorded: recorded.scraper?.version
+      });
+    }
+
+    this.progress('verify', `🔁 Re-deriving ${Object.keys(recorded.outputs).length} outputs from ${recorded.source.location}...`);
+    const rerun = new WappalyzerScraper({ ...recorded.config, outputDir: dir }, {
+      generatedAt: recorded.generatedAt,
+      configDir: this.configDir,
+      sanityCheck: false,
+      scoringModel: this.customScoringModel || undefined,
+      write: false,
+      logger: null
+    });
+    this.generators.forEach((generator, name) => rerun.registerGenerator(name, generator));
+    rerun.on('warning', ({ message, ...details }) => this.warn(message, details));
+    await rerun.run();
+
+    const inputs = compareInputs(
+        [...recorded.inputs, ...(recorded.overlays || [])],
+        [...rerun.buildProvenance.inputs, ...rerun.buildProvenance.overlays]
+    );
+    const onDisk = {};
+    for (const file of Object.keys(recorded.outputs)) {
+      try {
+        onDisk[file] = sha256(await fs.readFile(path.join(dir, file)));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw new SourceError(`Could not read ${file}: ${error.message}`, { path: dir, cause: error });
+      }
+    }
+    const { identical, different } = compareOutputs(recorded.outputs, onDisk, rerun.outputHashes);
+
+    [...inputs.changed, ...inputs.missing].forEach(input => {
+      this.warn(`Input ${input} ${inputs.changed.includes(input) ? 'changed' : 'could not be read'} since the build`, { type: 'verify', input });
+    });
+    different.forEach(({ file, reason }) => {
+      this.warn(`${file}: ${reason}`, { type: 'verify', file, reason });
+    });
+
+    const reproducible = different.length === 0 && inputs.changed.length === 0 && inputs.missing.length === 0;
+    this.progress('verify', reproducible
+      ? `✅ All ${identical.length} outputs are byte-identical to a re-run from ${recorded.source.revision || recorded.source.location}`
+      : `❌ ${different.length} of ${Object.keys(recorded.outputs).length} outputs differ from a re-run`, {
+      reproducible,
+      identical: identical.length,
+      different: different.length
+    });
+
+    return {
+      directory: path.resolve(dir),
+      revision: recorded.source.revision,
+      reproducible,
+      inputs,
+      identical,
+      different
+    };
+  }
+
   async ensureDirectory(dir) {
     try {
       await fs.mkdir(dir, { recursive: true });
@@ -542,53 +1919,178 @@ ${report.topThreats.map((tech, i) =>
     }
   }
 
-  async saveJson(filename, data) {
-    const filepath = path.join(this.outputDir, filename);
-    await fs.writeFile(filepath, JSON.stringify(data, null, 2));
-    console.log(`💾 Saved: ${filename}`);
-  }
-}
+  async readJsonFile(filepath) {
+    let content;
+    try {
+      content = await fs.readFile(filepath, 'utf8');
+    } catch (error) {
+      throw new SourceError(`Could not read ${filepath}: ${error.message}`, { url: filepath, cause: error });
+    }
 
-// CLI execution
-if (require.main === module) {
-  const args = process.argv.slice(2);
-  const configPath = args.includes('--config') ? args[args.indexOf('--config') + 1] : './config.json';
-  const dryRun = args.includes('--dry-run');
-  
-  if (args.includes('--help') || args.includes('-h')) {
-    console.log(`
-Wappalyzer Privacy Technology Scraper
-
-Usage: node wappalyzer-scraper.js [options]
-
-Options:
-  --config <path>    Path to configuration file (default: ./config.json)
-  --dry-run          Validate configuration and exit without scraping
-  --help, -h         Show this help message
-
-Examples:
-  node wappalyzer-scraper.js
-  node wappalyzer-scraper.js --config custom-config.json
-  node wappalyzer-scraper.js --dry-run
-`);
-    process.exit(0);
-  }
-
-  const scraper = new WappalyzerScraper(configPath);
-  
-  if (dryRun) {
-    console.log('🔍 Dry run mode - validating configuration...');
     try {
-      scraper.validateConfiguration();
-      console.log('✅ Configuration is valid');
-      process.exit(0);
+      return JSON.parse(content);
     } catch (error) {
-      console.error('❌ Configuration validation failed:', error.message);
-      process.exit(1);
+      throw new ValidationError(`Invalid JSON in ${filepath}: ${error.message}`, { url: filepath, cause: error });
+    }
+  }
+
+  // Outputs with a published schema must match it before they are written
+  checkSchema(filename, data) {
+    const schema = schemaFor(filename);
+    if (!schema) return;
+
+    const errors = validateAgainstSchema(schema, data);
+    if (errors.length > 0) {
+      throw new ValidationError(`${filename} does not match its schema: ${errors.slice(0, 3).join('; ')}`, {
+        file: filename,
+        errors
+      });
     }
-  } else {
-    scraper.run();
+  }
+
+  async saveJson(filename, data, dir = this.outputDir) {
+    data = this.withProvenance(filename, data, dir);
+    this.checkSchema(filename, data);
+    const filepath = await this.saveFile(filename, data, JSON.stringify(data, null, 2), dir);
+    if (path.resolve(dir) === path.resolve(this.outputDir)) {
+      await this.saveCompactVariants(filename, data);
+    }
+    return filepath;
+  }
+
+  // `<name>.min.json` and its compressed copies, for the files in compactOutput.files
+  async saveCompactVariants(filename, data) {
+    const { minify, compression, files } = this.compactOutput;
+    if (!files.includes(filename) || (!minify && compression.length === 0)) return;
+
+    const minified = filename.replace(/\.json$/, '.min.json');
+    const content = JSON.stringify(data);
+    if (minify) {
+      await this.saveFile(minified, data, content);
+    }
+    await this.saveCompressed(minified, data, content);
+  }
+
+  // gzip/brotli copies of `content`, returned as { <compression>: { file, bytes, sha256 } }
+  async saveCompressed(filename, data, content) {
+    const copies = {};
+    for (const name of this.compactOutput.compression) {
+      const { extension, compress } = COMPRESSIONS[name];
+      const compressed = compress(Buffer.from(content));
+      await this.saveFile(`${filename}${extension}`, data, compressed);
+      copies[name] = fileEntry(`${filename}${extension}`, compressed);
+    }
+    return copies;
+  }
+
+  // One entry per line, streamed to disk rather than built as a single string
+  async saveNdjson(filename, entries, dir = this.outputDir) {
+    const filepath = path.join(dir, filename);
+    const hash = crypto.createHash('sha256');
+    const stream = this.write ? createWriteStream(filepath) : null;
+    let bytes = 0;
+
+    for (const entry of entries) {
+      const line = `${JSON.stringify(entry)}\n`;
+      hash.update(line);
+      bytes += Buffer.byteLength(line);
+      if (stream && !stream.write(line)) {
+        await EventEmitter.once(stream, 'drain');
+      }
+    }
+
+    if (path.resolve(dir) === path.resolve(this.outputDir)) {
+      this.outputs[filename] = entries;
+      this.outputHashes[filename] = hash.digest('hex');
+    }
+    if (!stream) return filepath;
+
+    stream.end();
+    await finished(stream);
+    this.log(`💾 Saved: ${filename}`);
+    this.emit('saved', { file: filename, path: filepath, bytes });
+    return filepath;
+  }
+
+  /**
+   * Writes the technologies of the extension database as minified shards in
+   * extension-shards/ (plus compressed copies) and extension-manifest.json
+   * with the hash of each, removing shards left over from earlier runs.
+   */
+  async saveExtensionShards(extensionDb) {
+    const strategy = this.compactOutput.shards;
+    const shards = shardExtensionDatabase(extensionDb, strategy);
+    const shardDir = path.join(this.outputDir, SHARD_DIR);
+    if (this.write) {
+      await this.ensureDirectory(shardDir);
+    }
+
+    const entries = [];
+    for (const shard of shards) {
+      this.checkSchema('extension-shard.json', shard);
+      const file = `${SHARD_DIR}/${shard.shard}.json`;
+      const content = JSON.stringify(shard);
+      await this.saveFile(file, shard, content);
+      entries.push({
+        key: shard.shard,
+        technologies: Object.keys(shard.technologies).length,
+        ...fileEntry(file, content),
+        compressed: await this.saveCompressed(file, shard, content)
+      });
+    }
+    await this.saveJson('extension-manifest.json', createShardManifest(extensionDb, strategy, entries));
+
+    if (this.write) {
+      const current = new Set(entries.flatMap(entry => [entry.file, ...Object.values(entry.compressed).map(copy => copy.file)]));
+      for (const file of await fs.readdir(shardDir)) {
+        if (/\.json(?:\.gz|\.br)?$/.test(file) && !current.has(`${SHARD_DIR}/${file}`)) {
+          await fs.unlink(path.join(shardDir, file));
+        }
+      }
+    }
+    this.log(`🧩 Split the extension database into ${shards.length} shards by ${strategy}`);
+  }
+
+  async saveText(filename, text, dir = this.outputDir) {
+    return this.saveFile(filename, text, text, dir);
+  }
+
+  // Record-shaped outputs in outputDir carry the short form of provenance.json;
+  // lists and maps keyed by ID are covered by its output hashes only
+  withProvenance(filename, data, dir = this.outputDir) {
+    if (!this.buildProvenance || !OUTPUT_SCHEMAS[filename]?.properties) return data;
+    if (path.resolve(dir) !== path.resolve(this.outputDir)) return data;
+    return { ...data, provenance: provenanceStamp(this.buildProvenance) };
+  }
+
+  // Files written to outputDir are also kept in `outputs` for run()'s result
+  // and hashed for provenance.json
+  async saveFile(filename, data, content, dir = this.outputDir) {
+    const filepath = path.join(dir, filename);
+    if (path.resolve(dir) === path.resolve(this.outputDir)) {
+      this.outputs[filename] = data;
+      this.outputHashes[filename] = sha256(content);
+    }
+    if (!this.write) return filepath;
+
+    await fs.writeFile(filepath, content);
+    this.log(`💾 Saved: ${filename}`);
+    this.emit('saved', { file: filename, path: filepath, bytes: Buffer.byteLength(content) });
+    return filepath;
   }
 }
 
-module.exports = WappalyzerScraper;
\ No newline at end of file
+// Error classes are exposed for `instanceof` checks by embedding code
+Object.assign(WappalyzerScraper, {
+  ScraperError,
+  ConfigurationError,
+  SourceError,
+  ValidationError,
+  DatasetError
+});
+
+module.exports = WappalyzerScraper;
+
+if (require.main === module) {
+  require('./lib/cli').main(WappalyzerScraper, process.argv.slice(2));
+}